@@ -0,0 +1,39 @@
+const { ApolloServer } = require('apollo-server-express')
+const compression = require('compression')
+
+const { getApolloConfig, followSchema } = require('../core')
+const { GRAPHQL_WS, useGraphqlWs } = require('./subscriptions')
+
+/**
+ * Express adapter, serves the core at `options.graphqlEndpint` with the Apollo server of
+ * apollo-server-express, playground included. The subscriptions use the protocol of Apollo
+ * (subscriptions-transport-ws) unless `options.subscriptionsProtocol` is `graphql-ws`. `stop()` of the
+ * returned server stops the core along with it
+ * @param {*} app app express object
+ * @param {*} core The core, see `createCore`
+ *
+ * @returns {ApolloServer} Returns object of ApolloServer
+ */
+const express = (app, core) => {
+    const { options } = core
+    const graphqlServer = new ApolloServer(getApolloConfig(core))
+    // `stop()` of the Apollo server stops the whole core
+    const stopServer = graphqlServer.stop.bind(graphqlServer)
+    core.lifecycle.onStop(stopServer)
+    graphqlServer.stop = core.stop
+    followSchema(core, graphqlServer)
+
+    app.use(compression({ level: 1 }))
+    graphqlServer.applyMiddleware({ app, path: options.graphqlEndpint, compression: compression() })
+
+    if (options.subscriptions) {
+        if (options.subscriptionsProtocol === GRAPHQL_WS) useGraphqlWs(core, options.httpServer)
+        else graphqlServer.installSubscriptionHandlers(options.httpServer)
+    }
+
+    return graphqlServer
+}
+
+module.exports = {
+    express
+}
\ No newline at end of file
@@ -0,0 +1,36 @@
+const { createRunner } = require('./http')
+const { installSubscriptions } = require('./subscriptions')
+
+/**
+ * Fastify adapter, a GET and POST route at `options.graphqlEndpint`. The context gets
+ * `{ request, reply }`. The subscriptions use the graphql-ws protocol on `options.httpServer`,
+ * the server of the app (`app.server`) by default
+ * @param {*} app app fastify object
+ * @param {*} core The core, see `createCore`
+ */
+const fastify = (app, core) => {
+    if (core.options.subscriptions) installSubscriptions(core, core.options.httpServer || app.server)
+
+    const run = createRunner(core)
+
+    app.route({
+        method: ['GET', 'POST'],
+        url: core.options.graphqlEndpint,
+        handler: async (request, reply) => {
+            const { status, headers, body } = await run({
+                method: request.method,
+                query: request.method === 'POST' ? request.body : request.query,
+                req: request.raw,
+                integrationContext: { request, reply }
+            })
+
+            reply.code(status).headers(headers).send(body)
+        }
+    })
+
+    return core
+}
+
+module.exports = {
+    fastify
+}
\ No newline at end of file
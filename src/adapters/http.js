@@ -0,0 +1,117 @@
+const { parse } = require('url')
+const { ApolloServerBase, runHttpQuery, convertNodeHttpToRequest } = require('apollo-server-core')
+
+const { getApolloConfig, followSchema } = require('../core')
+const { installSubscriptions } = require('./subscriptions')
+
+/**
+ * Returns the function running the GraphQL requests of an adapter on an Apollo server built from
+ * the core, it resolves to the response to send, `{ status, headers, body }`. The Apollo server is
+ * stopped along with the core.
+ *
+ * `integrationContext` is what the adapter knows of the request (`{ req, res }`, `{ ctx }`...),
+ * the context of the core gets it. The schemas of a reloaded core are swapped into the server
+ * @param {*} core The core, see `createCore`
+ */
+const createRunner = core => {
+    const server = new ApolloServerBase(getApolloConfig(core))
+    const started = server.willStart()
+
+    core.lifecycle.onStop(() => server.stop())
+    followSchema(core, server)
+
+    return async ({ method, query, req, integrationContext }) => {
+        await started
+
+        try {
+            const { graphqlResponse, responseInit } = await runHttpQuery([integrationContext], {
+                method,
+                options: () => server.graphQLServerOptions(integrationContext),
+                query,
+                request: convertNodeHttpToRequest(req)
+            })
+
+            return { status: 200, headers: responseInit.headers || {}, body: graphqlResponse }
+        } catch (error) {
+            if (error.name !== 'HttpQueryError') throw error
+
+            return { status: error.statusCode, headers: error.headers || {}, body: error.message }
+        }
+    }
+}
+
+/**
+ * Reads the JSON body of a request, `undefined` when empty
+ */
+const readBody = req => new Promise((resolve, reject) => {
+    let data = ''
+
+    req.setEncoding('utf8')
+    req.on('data', chunk => { data += chunk })
+    req.on('error', reject)
+    req.on('end', () => {
+        try {
+            resolve(data ? JSON.parse(data) : undefined)
+        } catch (e) {
+            reject(Object.assign(new Error('POST body sent invalid JSON.'), { statusCode: 400 }))
+        }
+    })
+})
+
+/**
+ * Returns the query of a request: the parsed body of a POST (read when no body parser did it
+ * before, `req.body`), the query string of a GET
+ */
+const getQuery = async (method, req, body) => {
+    if (method !== 'POST') return parse(req.url, true).query
+
+    return body !== undefined ? body : readBody(req)
+}
+
+/**
+ * Returns the `(req, res)` handler of a bare Node server (`http.createServer(handler)`), answering the
+ * GraphQL requests sent to `options.graphqlEndpint` and a 404 to anything else. The context gets
+ * `{ req, res }`
+ * @param {*} core The core, see `createCore`
+ */
+const createHandler = core => {
+    const run = createRunner(core)
+    const endpoint = core.options.graphqlEndpint
+
+    return async (req, res) => {
+        const send = ({ status, headers, body }) => {
+            res.statusCode = status
+            Object.keys(headers).forEach(name => res.setHeader(name, headers[name]))
+            res.end(body)
+        }
+
+        if (parse(req.url).pathname !== endpoint) return send({ status: 404, headers: {}, body: 'Not found' })
+
+        try {
+            const query = await getQuery(req.method, req, req.body)
+            send(await run({ method: req.method, query, req, integrationContext: { req, res } }))
+        } catch (error) {
+            send({ status: error.statusCode || 500, headers: {}, body: error.statusCode ? error.message : 'Internal server error' })
+        }
+    }
+}
+
+/**
+ * Plain Node adapter, returns the core along with its `handler`. The subscriptions use the
+ * graphql-ws protocol on `options.httpServer`
+ * @param {*} core The core, see `createCore`
+ */
+const http = core => {
+    if (core.options.subscriptions) installSubscriptions(core, core.options.httpServer)
+
+    core.handler = createHandler(core)
+
+    return core
+}
+
+module.exports = {
+    createRunner,
+    getQuery,
+    createHandler,
+    http
+}
\ No newline at end of file
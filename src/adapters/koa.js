@@ -0,0 +1,33 @@
+const { createRunner, getQuery } = require('./http')
+const { installSubscriptions } = require('./subscriptions')
+
+/**
+ * Koa adapter, a middleware answering the GraphQL requests sent to `options.graphqlEndpint`. The body
+ * parsed by a body parser (`ctx.request.body`) is used when there is one. The context gets `{ ctx }`.
+ * The subscriptions use the graphql-ws protocol on `options.httpServer`
+ * @param {*} app app koa object
+ * @param {*} core The core, see `createCore`
+ */
+const koa = (app, core) => {
+    if (core.options.subscriptions) installSubscriptions(core, core.options.httpServer)
+
+    const run = createRunner(core)
+    const endpoint = core.options.graphqlEndpint
+
+    app.use(async (ctx, next) => {
+        if (ctx.path !== endpoint || (ctx.method !== 'GET' && ctx.method !== 'POST')) return next()
+
+        const query = await getQuery(ctx.method, ctx.req, ctx.request.body)
+        const { status, headers, body } = await run({ method: ctx.method, query, req: ctx.req, integrationContext: { ctx } })
+
+        ctx.status = status
+        ctx.set(headers)
+        ctx.body = body
+    })
+
+    return core
+}
+
+module.exports = {
+    koa
+}
\ No newline at end of file
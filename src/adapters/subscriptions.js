@@ -0,0 +1,79 @@
+const { GraphQLError, parse } = require('graphql')
+const { ApolloError, formatApolloErrors } = require('apollo-server-errors')
+const { useServer } = require('graphql-ws/lib/use/ws')
+const WebSocket = require('ws')
+
+const { getQueryCost } = require('../cost')
+
+const GRAPHQL_WS = 'graphql-ws'
+const SUBSCRIPTIONS_TRANSPORT_WS = 'subscriptions-transport-ws'
+
+/**
+ * Returns the cost errors of a subscribed operation, see `options.limits`. The invalid operations
+ * are left to graphql-ws, which reports them
+ */
+const checkCost = (core, { query, operationName, variables }) => {
+    let document = null
+
+    try {
+        document = parse(query)
+    } catch (e) {
+        return
+    }
+
+    try {
+        getQueryCost(core.schema, document, { operationName, variables: variables || {}, models: core.models, limits: core.options.limits })
+    } catch (e) {
+        if (!(e instanceof ApolloError)) return
+
+        return [new GraphQLError(e.message, null, null, null, null, null, e.extensions)]
+    }
+}
+
+/**
+ * Serves the subscriptions of the core over the graphql-ws protocol, on a WebSocket server sharing
+ * `httpServer` at `options.graphqlEndpint`. The context of each operation gets
+ * `{ req, connectionParams, extra }`: the upgrade request, the payload of the connection and the
+ * graphql-ws extra (`socket`, `request`). The errors are formatted as the ones of the queries.
+ * The WebSocket server is closed along with the core.
+ * @param {*} core The core, see `createCore`
+ * @param {*} httpServer The http server of the app
+ */
+const useGraphqlWs = (core, httpServer) => {
+    const wsServer = new WebSocket.Server({ server: httpServer, path: core.options.graphqlEndpint })
+    const debug = process.env.NODE_ENV !== 'production'
+
+    const server = useServer({
+        // The current schema, it changes when the core reloads
+        schema: () => core.schema,
+        context: ({ connectionParams, extra }) => core.context({ req: extra.request, connectionParams, extra }),
+        onSubscribe: (ctx, message) => core.options.limits ? checkCost(core, message.payload) : undefined,
+        onNext: (ctx, message, args, result) => result.errors
+            ? Object.assign({}, result, { errors: formatApolloErrors(result.errors, { formatter: core.formatError, debug }) })
+            : result
+    }, wsServer)
+
+    core.lifecycle.onStop(() => server.dispose())
+
+    return server
+}
+
+/**
+ * Installs the subscriptions of an adapter without its own subscription server, only the graphql-ws
+ * protocol is supported
+ * @param {*} core The core, see `createCore`
+ * @param {*} httpServer The http server of the app
+ */
+const installSubscriptions = (core, httpServer) => {
+    if (!httpServer) throw new Error("httpServer is required for subscriptions")
+    if (core.options.subscriptionsProtocol && core.options.subscriptionsProtocol !== GRAPHQL_WS) throw new Error(`options.subscriptionsProtocol ${core.options.subscriptionsProtocol} is only supported by the Express adapter`)
+
+    return useGraphqlWs(core, httpServer)
+}
+
+module.exports = {
+    GRAPHQL_WS,
+    SUBSCRIPTIONS_TRANSPORT_WS,
+    useGraphqlWs,
+    installSubscriptions
+}
\ No newline at end of file
@@ -0,0 +1,202 @@
+const {
+    GraphQLObjectType, GraphQLEnumType, GraphQLList, GraphQLNonNull, GraphQLInt, GraphQLFloat, GraphQLString,
+    GraphQLID, GraphQLBoolean, getNamedType
+} = require('graphql')
+const { defaultListArgs } = require('graphql-sequelize')
+const { replaceWhereOperators } = require('graphql-sequelize/lib/replaceWhereOperators')
+const Sequelize = require('sequelize')
+const _ = require('lodash')
+
+const { EXPECTED_OPTIONS_KEY, getCacheKey, describeLoader } = require('./dataloader')
+const { compileFilter, authorizeWhere } = require('./filter')
+const { createLoader } = require('./instrumentation')
+const { authorize } = require('./policy')
+const { joinTransaction } = require('./transaction')
+const { getProperTypeName, mergeWhere } = require('./helper')
+
+const NUMERIC_TYPES = ['INTEGER', 'BIGINT', 'FLOAT', 'REAL', 'DOUBLE', 'DECIMAL']
+const DATE_TYPES = ['DATE', 'DATEONLY']
+
+const isNumeric = rawAttribute => NUMERIC_TYPES.some(type => rawAttribute.type instanceof Sequelize[type])
+const isDate = rawAttribute => DATE_TYPES.some(type => rawAttribute.type instanceof Sequelize[type])
+const isGroupable = type => [GraphQLString, GraphQLID, GraphQLInt, GraphQLBoolean].includes(type) ||
+    type.name === 'Date' || type instanceof GraphQLEnumType
+
+/**
+ * Returns the aggregate types of a model.
+ *
+ * `<Model>Aggregate` has `count`, `sum`/`avg` over the numeric attributes, `min`/`max` over the
+ * numeric and date attributes and the `group` values. `<Model>GroupField` lists the columns
+ * accepted by `groupBy`. Only the queryable attributes are aggregated, a sum or a group of the values
+ * the policies hide (or check row by row) would tell them.
+ * @param {*} model The sequelize model used to create the types
+ * @param {*} attributeTypes The fields returned by `attributeFields` for the queryable attributes of the model
+ */
+const generateAggregateTypes = (model, attributeTypes) => {
+    const { upperFirst: { singular: typeName } } = getProperTypeName(model)
+
+    const attributes = Object.keys(attributeTypes).filter(attribute => model.rawAttributes[attribute] && !(model.rawAttributes[attribute].type instanceof Sequelize.VIRTUAL))
+    // keys are numeric too, but their sum or average means nothing
+    const numeric = attributes.filter(attribute => isNumeric(model.rawAttributes[attribute]) && !model.rawAttributes[attribute].primaryKey && !model.rawAttributes[attribute].references)
+    const comparable = attributes.filter(attribute => isNumeric(model.rawAttributes[attribute]) || isDate(model.rawAttributes[attribute]))
+    const groupable = attributes.filter(attribute => isGroupable(getNamedType(attributeTypes[attribute].type)))
+
+    const objectType = (name, fields, description) => fields.length ? new GraphQLObjectType({
+        name,
+        fields: () => fields.reduce((result, attribute) => Object.assign(result, {
+            [attribute]: { type: isNumeric(model.rawAttributes[attribute]) ? GraphQLFloat : getNamedType(attributeTypes[attribute].type) }
+        }), {}),
+        description
+    }) : null
+
+    const numbersType = objectType(`${typeName}AggregateNumbers`, numeric, `Sum or average of the numeric attributes of ${model.name}`)
+    const valuesType = objectType(`${typeName}AggregateValues`, comparable, `Minimum or maximum of the numeric and date attributes of ${model.name}`)
+    const groupType = objectType(`${typeName}Group`, groupable, `Values of the grouped attributes of ${model.name}`)
+
+    let fields = { count: { type: new GraphQLNonNull(GraphQLInt) } }
+    if (numbersType) Object.assign(fields, { sum: { type: numbersType }, avg: { type: numbersType } })
+    if (valuesType) Object.assign(fields, { min: { type: valuesType }, max: { type: valuesType } })
+    if (groupType) fields.group = { type: groupType }
+
+    return {
+        aggregateType: new GraphQLObjectType({
+            name: `${typeName}Aggregate`,
+            fields,
+            description: `Aggregates of the model ${model.name}, this comment is generated automatically.`
+        }),
+        groupFieldType: groupable.length ? new GraphQLEnumType({
+            name: `${typeName}GroupField`,
+            values: groupable.reduce((values, attribute) => Object.assign(values, {
+                [_.snakeCase(attribute).toUpperCase()]: { value: attribute }
+            }), {}),
+            description: `Attributes of ${model.name} accepted by groupBy`
+        }) : null,
+        numeric,
+        comparable
+    }
+}
+
+const field = (model, attribute) => model.rawAttributes[attribute].field || attribute
+
+/**
+ * Runs the aggregate query of a model, one row per group
+ * @param {*} model The sequelize model
+ * @param {*} aggregateTypes The types returned by `generateAggregateTypes`
+ * @param {*} options `where`, `group` (attributes) and `transaction`
+ */
+const aggregate = async (model, aggregateTypes, { where, group = [], transaction }) => {
+    const { fn, col, literal } = Sequelize
+    const { numeric, comparable } = aggregateTypes
+
+    let attributes = [[fn('COUNT', literal('*')), 'count']]
+    numeric.forEach(attribute => {
+        attributes.push([fn('SUM', col(field(model, attribute))), `sum__${attribute}`])
+        attributes.push([fn('AVG', col(field(model, attribute))), `avg__${attribute}`])
+    })
+    comparable.forEach(attribute => {
+        attributes.push([fn('MIN', col(field(model, attribute))), `min__${attribute}`])
+        attributes.push([fn('MAX', col(field(model, attribute))), `max__${attribute}`])
+    })
+    group.forEach(attribute => attributes.push([col(field(model, attribute)), attribute]))
+
+    const rows = await model.findAll({
+        attributes,
+        where,
+        group: group.map(attribute => field(model, attribute)),
+        raw: true,
+        transaction
+    })
+
+    // raw rows hold what the driver returns: strings for DECIMAL or BIGINT, and for dates on some dialects
+    const parse = (attribute, value) => {
+        if (value === null || value === undefined) return null
+        if (isNumeric(model.rawAttributes[attribute])) return Number(value)
+        if (model.rawAttributes[attribute].type instanceof Sequelize.DATE && !(value instanceof Date)) return new Date(value)
+
+        return value
+    }
+    const values = (row, prefix, attributes) => attributes.reduce((result, attribute) => Object.assign(result, {
+        [attribute]: parse(attribute, row[`${prefix}__${attribute}`])
+    }), {})
+
+    return rows.map(row => ({
+        count: Number(row.count),
+        sum: values(row, 'sum', numeric),
+        avg: values(row, 'avg', numeric),
+        min: values(row, 'min', comparable),
+        max: values(row, 'max', comparable),
+        group: _.pick(row, group)
+    }))
+}
+
+/**
+ * Returns the root `<model>Aggregate` query
+ * @param {*} model The sequelize model
+ * @param {*} aggregateTypes The types returned by `generateAggregateTypes`
+ * @param {*} listArgs The `filter` argument of the model
+ */
+const generateAggregateField = (model, aggregateTypes, listArgs = {}) => ({
+    type: new GraphQLList(new GraphQLNonNull(aggregateTypes.aggregateType)),
+    description: `Aggregates of ${model.name}, one item per group (a single item without groupBy)`,
+    args: Object.assign(
+        { where: defaultListArgs().where },
+        _.pick(listArgs, 'filter'),
+        aggregateTypes.groupFieldType ? { groupBy: { type: new GraphQLList(new GraphQLNonNull(aggregateTypes.groupFieldType)) } } : {}
+    ),
+    resolve: async (source, args, context) => {
+        const restriction = await authorize(model, 'read', context, { args })
+        authorizeWhere(model, args['where'])
+
+        return aggregate(model, aggregateTypes, joinTransaction({
+            where: mergeWhere(args['where'] && replaceWhereOperators(args['where']), await compileFilter(model, args['filter'], context), restriction),
+            group: args['groupBy'] || []
+        }, context))
+    }
+})
+
+/**
+ * Returns the `<association>Aggregate` field of a HasMany association.
+ *
+ * The aggregates of every parent are computed by a single grouped query, batched by a
+ * loader stored in the dataloader context.
+ * @param {*} relation The HasMany association
+ * @param {*} aggregateTypes The types returned by `generateAggregateTypes` for the target
+ * @param {*} listArgs The `filter` argument of the target
+ */
+const generateAssociationAggregateField = (relation, aggregateTypes, listArgs = {}) => ({
+    type: new GraphQLNonNull(aggregateTypes.aggregateType),
+    description: `Aggregates of the ${relation.as} of the row`,
+    args: _.pick(listArgs, 'filter'),
+    resolve: async (source, args, context) => {
+        const target = relation.target
+        const restriction = await authorize(target, 'read', context, { args, source })
+        const where = mergeWhere(await compileFilter(target, args['filter'], context), relation.scope, restriction)
+        const key = source.get ? source.get(relation.sourceKey) : source[relation.sourceKey]
+
+        const load = keys => aggregate(target, aggregateTypes, joinTransaction({
+            where: mergeWhere({ [relation.foreignKey]: keys }, where),
+            group: [relation.foreignKey]
+        }, context)).then(rows => keys.map(k => {
+            const row = rows.find(r => String(r.group[relation.foreignKey]) === String(k))
+            return row || { count: 0, sum: {}, avg: {}, min: {}, max: {}, group: {} }
+        }))
+
+        const dataloaderContext = context && (context['dataloaderContext'] || context[EXPECTED_OPTIONS_KEY])
+        if (!dataloaderContext || !dataloaderContext.loaders || context.transaction) return load([key]).then(rows => rows[0])
+
+        const cacheKey = getCacheKey(target, `aggregate:${relation.foreignKey}`, { association: relation, where })
+        let loader = dataloaderContext.loaders.autogenerated.get(cacheKey)
+        if (!loader) {
+            loader = describeLoader(createLoader(load), target, relation.foreignKey)
+            dataloaderContext.loaders.autogenerated.set(cacheKey, loader)
+        }
+
+        return loader.load(key)
+    }
+})
+
+module.exports = {
+    generateAggregateTypes,
+    generateAggregateField,
+    generateAssociationAggregateField
+}
\ No newline at end of file
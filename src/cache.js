@@ -0,0 +1,224 @@
+const LRU = require('lru-cache')
+const Sequelize = require('sequelize')
+const _ = require('lodash')
+
+const { isModel } = require('./helper')
+
+const HOOK_NAME = 'magicGraphqlSharedCache'
+const CACHE_HOOKS = [
+    'afterCreate', 'afterUpdate', 'afterDestroy', 'afterRestore',
+    'afterBulkCreate', 'afterBulkUpdate', 'afterBulkDestroy', 'afterBulkRestore'
+]
+const DEFAULT_CONFIG = { ttl: 60000, max: 1000 }
+
+// The shared cache of each model with `options.sharedCache`: `{ store, ttl, attributes, epoch }`.
+// `epoch` counts the evictions, a read started before one doesn't store its rows
+const caches = new WeakMap()
+
+/**
+ * The default store of a model, an in-memory LRU. A store has `get(key)`, `set(key, value, ttl)`,
+ * `del(key)` and `reset()`, their results can be promises
+ */
+const createMemoryStore = (model, { ttl, max }) => new LRU({ max, maxAge: ttl })
+
+/**
+ * Returns the attributes the loaders of a model are keyed by: its primary key, the target key of the
+ * belongs to associations and the foreign key of the has one and has many associations targeting it
+ */
+const getLoaderAttributes = (model, models) => _.uniq(Object.keys(models)
+    .filter(modelName => isModel(models, modelName))
+    .reduce((attributes, modelName) => attributes.concat(Object.values(models[modelName].associations)
+        .filter(association => association.target === model)
+        .map(association => {
+            if (association.associationType === 'BelongsTo') return association.targetKey
+            if (association.associationType === 'HasOne' || association.associationType === 'HasMany') return association.foreignKey
+            return null
+        })
+        .filter(attribute => attribute)), [model.primaryKeyAttribute]))
+
+/**
+ * Returns the attribute values of rows: instances, objects of attribute values or primary keys
+ */
+const getRowValues = (model, rows) => rows.map(row => {
+    if (row && typeof row.get === 'function') return row.get()
+    return _.isPlainObject(row) ? row : { [model.primaryKeyAttribute]: row }
+})
+
+// An entry holds the results of every loader reading the rows of an attribute value
+const entryKey = (attribute, value) => `${attribute}:${String(value)}`
+
+// Calls a method of a store, whether it throws or rejects: a failing store is a miss, and its entries
+// live until their ttl
+const attempt = (call, fallback) => Promise.resolve().then(call).catch(() => fallback)
+
+/**
+ * Evicts rows of a model from its shared cache: the entries of their loader attribute values, every
+ * entry when the rows don't hold all of them or without rows
+ * @param {*} model The model
+ * @param {Array} rows Instances, objects of attribute values or primary keys
+ */
+const evictSharedCache = (model, rows) => {
+    const cache = caches.get(model)
+    if (!cache) return
+
+    cache.epoch++
+    const values = rows && getRowValues(model, rows)
+    if (!values || !values.every(row => cache.attributes.every(attribute => attribute in row))) {
+        attempt(() => cache.store.reset())
+        return
+    }
+
+    values.forEach(row => cache.attributes.forEach(attribute => {
+        if (row[attribute] !== null && row[attribute] !== undefined) attempt(() => cache.store.del(entryKey(attribute, row[attribute])))
+    }))
+}
+
+/**
+ * Evicts the rows once the transaction of the write is committed, right away without one. The rows of
+ * an update are taken now along with their previous values, `previous()` is reset after the hooks
+ */
+const evictAfterWrite = (model, options, instances) => {
+    const rows = instances && instances.reduce((rows, instance) => rows.concat(
+        Object.assign({}, instance.get()),
+        Object.keys(instance.previous()).length ? [Object.assign({}, instance.get(), instance.previous())] : []
+    ), [])
+    const evict = () => evictSharedCache(model, rows)
+
+    if (options.transaction) options.transaction.afterCommit(evict)
+    else evict()
+}
+
+/**
+ * Creates the shared cache of the models with `options.sharedCache` (`true` or `{ ttl, max }`) and
+ * registers the hooks evicting their rows on every write. Registering again replaces the caches.
+ * @param {*} models The sequelize models
+ * @param {*} options `sharedCacheStore`, `(model, { ttl, max }) => store` creating the store of each model
+ */
+const registerSharedCacheHooks = (models, options = {}) => {
+    const createStore = options.sharedCacheStore || createMemoryStore
+
+    Object.keys(models).filter(modelName => isModel(models, modelName)).forEach(modelName => {
+        const model = models[modelName]
+        CACHE_HOOKS.forEach(hookType => model.removeHook(hookType, HOOK_NAME))
+        caches.delete(model)
+        if (!model.options.sharedCache) return
+
+        const config = Object.assign({}, DEFAULT_CONFIG, model.options.sharedCache === true ? {} : model.options.sharedCache)
+        caches.set(model, {
+            store: createStore(model, config),
+            ttl: config.ttl,
+            attributes: getLoaderAttributes(model, models),
+            epoch: 0
+        })
+
+        const hooks = {
+            afterCreate: (instance, options) => evictAfterWrite(model, options, [instance]),
+            afterUpdate: (instance, options) => evictAfterWrite(model, options, [instance]),
+            afterDestroy: (instance, options) => evictAfterWrite(model, options, [instance]),
+            afterRestore: (instance, options) => evictAfterWrite(model, options, [instance]),
+            afterBulkCreate: (instances, options) => {
+                if (!options.individualHooks) evictAfterWrite(model, options, instances)
+            },
+            afterBulkUpdate: options => {
+                if (!options.individualHooks) evictAfterWrite(model, options)
+            },
+            afterBulkDestroy: options => {
+                if (!options.individualHooks) evictAfterWrite(model, options)
+            },
+            afterBulkRestore: options => {
+                if (!options.individualHooks) evictAfterWrite(model, options)
+            }
+        }
+
+        Object.keys(hooks).forEach(hookType => model.addHook(hookType, HOOK_NAME, hooks[hookType]))
+    })
+}
+
+/**
+ * Removes the hooks and the caches registered by `registerSharedCacheHooks`
+ * @param {*} models The sequelize models
+ */
+const unregisterSharedCacheHooks = models => {
+    Object.keys(models).filter(modelName => isModel(models, modelName)).forEach(modelName => {
+        CACHE_HOOKS.forEach(hookType => models[modelName].removeHook(hookType, HOOK_NAME))
+        caches.delete(models[modelName])
+    })
+}
+
+// Literals, functions and `Sequelize.where` of a where clause: association filters, restrictions reading other tables...
+const hasMethod = value => value instanceof Sequelize.Utils.SequelizeMethod ||
+    (Array.isArray(value) ? value.some(hasMethod) : _.isPlainObject(value) && Reflect.ownKeys(value).some(key => hasMethod(value[key])))
+
+// The lists of aggregates (`COUNT`) and of computed attributes are left to the database, so are the lists
+// whose where clause reads other tables: their writes would not evict them
+const isShareable = options => !options.group && !options.lock && !hasMethod(options.where) &&
+    (Array.isArray(options.attributes) ? options.attributes.every(attribute => typeof attribute === 'string') : !options.attributes)
+
+/**
+ * Returns the batch function of a loader reading the rows of a model by attribute through its shared
+ * cache: the keys found in the store are answered from it and the others are read by `batch`, then
+ * stored. The store holds attribute values, every request gets its own instances. A failing store is
+ * a miss, the rows are read from the database
+ * @param {*} model The model
+ * @param {String} attribute The attribute the loader is keyed by
+ * @param {String} variant Tells the loaders of the attribute apart (options of the query, row or list)
+ * @param {Function} batch The batch function of the loader
+ * @param {*} options The query options of the loader, `raw` and `attributes` shape the rows
+ */
+const withSharedCache = (model, attribute, variant, batch, options = {}) => {
+    if (!caches.has(model) || !isShareable(options)) return batch
+
+    // A store serializing the values (JSON) gives the dates back as strings
+    const dates = Object.keys(model.rawAttributes).filter(name => model.rawAttributes[name].type && model.rawAttributes[name].type.key === 'DATE')
+    const dump = row => row && Object.assign({}, typeof row.get === 'function' ? row.dataValues : row)
+    const restore = values => {
+        if (!values) return values
+
+        values = Object.assign({}, values)
+        dates.forEach(name => {
+            if (typeof values[name] === 'string') values[name] = new Date(values[name])
+        })
+        if (options.raw) return values
+        return model.build(values, Object.assign({ isNewRecord: false, raw: true }, options.attributes ? { attributes: options.attributes } : {}))
+    }
+    const read = result => Array.isArray(result) ? result.map(restore) : restore(result)
+
+    return keys => {
+        const cache = caches.get(model)
+        if (!cache) return batch(keys)
+
+        const { store, ttl, epoch } = cache
+        const keyNames = keys.map(key => entryKey(attribute, key))
+        const fresh = entry => entry && entry[variant] && Date.now() - entry[variant].at < ttl
+
+        return Promise.all(keyNames.map(name => attempt(() => store.get(name)))).then(entries => {
+            const missing = _.uniqBy(keys.filter((key, index) => !fresh(entries[index])), key => entryKey(attribute, key))
+            if (!missing.length) return entries.map(entry => read(entry[variant].result))
+
+            return Promise.resolve(batch(missing)).then(results => {
+                const loaded = _.zipObject(missing.map(key => entryKey(attribute, key)), results)
+
+                // A write evicted the rows while they were read, they may be stale
+                if (cache.epoch === epoch && caches.get(model) === cache) {
+                    missing.forEach(key => {
+                        const name = entryKey(attribute, key)
+                        const entry = Object.assign({}, entries[keyNames.indexOf(name)], {
+                            [variant]: { result: Array.isArray(loaded[name]) ? loaded[name].map(dump) : dump(loaded[name]), at: Date.now() }
+                        })
+                        attempt(() => store.set(name, entry, ttl))
+                    })
+                }
+
+                return keyNames.map((name, index) => name in loaded ? loaded[name] : read(entries[index][variant].result))
+            })
+        })
+    }
+}
+
+module.exports = {
+    registerSharedCacheHooks,
+    unregisterSharedCacheHooks,
+    evictSharedCache,
+    getRowValues,
+    withSharedCache
+}
\ No newline at end of file
@@ -0,0 +1,143 @@
+const fs = require('fs')
+const { resolve } = require('path')
+const { GraphQLSchema, printSchema } = require('graphql')
+
+const { generateSchema } = require('./generator')
+const { printTypeScript } = require('./typescript')
+const { diff } = require('./diff')
+const { formatCollision } = require('./collision')
+
+const USAGE = `Usage: magic-graphql <command> [options]
+
+Commands:
+  print-schema    Prints the SDL of the generated schema
+  print-types     Prints the TypeScript definitions of the generated schema
+  diff            Compares the generated schema with a baseline SDL, fails on breaking changes
+
+Options:
+  --models <path>     Models folder or file, exporting the models like options.modelDirPath (required)
+  --customs <path>    Folder of the custom queries and mutations, like options.customsDirPath
+  --config <path>     Module exporting the options given to magic-graphql
+  --subscriptions     Includes the subscriptions
+  --baseline <file>   SDL to compare with, printed by print-schema (diff)
+  --out <file>        Writes to a file instead of the standard output
+  --help              Prints this help
+`
+
+/**
+ * Parses the command line arguments, `--name value` and `--flag`
+ */
+const parseArgs = argv => {
+    let args = { _: [] }
+
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            args._.push(argv[i])
+        } else if (argv[i].includes('=')) {
+            const [name, ...value] = argv[i].slice(2).split('=')
+            args[name] = value.join('=')
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[++i]
+        } else {
+            args[argv[i].slice(2)] = true
+        }
+    }
+
+    return args
+}
+
+/**
+ * Loads the models and the options the way the library does, without a server
+ * @param {*} args The parsed arguments
+ */
+const loadModels = args => {
+    const cwd = process.cwd()
+    let options = args.config ? Object.assign({}, require(resolve(cwd, args.config))) : {}
+
+    if (args.models) options.modelDirPath = resolve(cwd, args.models)
+    if (args.customs) options.customsDirPath = resolve(cwd, args.customs)
+    else if (options.customsDirPath) options.customsDirPath = resolve(cwd, options.customsDirPath)
+    if (args.subscriptions) options.subscriptions = true
+
+    if (!options.modelDirPath) throw new Error('--models is required')
+
+    const models = typeof options.modelDirPath === 'string' ? require(options.modelDirPath) : options.modelDirPath
+
+    return { models, options }
+}
+
+/**
+ * Generates the schema from the models
+ * @param {*} args The parsed arguments
+ */
+const loadSchema = args => {
+    const { models, options } = loadModels(args)
+
+    return new GraphQLSchema(generateSchema(models, null, options))
+}
+
+/**
+ * Returns the report of the diff command and whether it has breaking changes
+ * @param {*} args The parsed arguments
+ */
+const diffSchema = args => {
+    const baseline = args.baseline || args._[1]
+    if (!baseline) throw new Error('--baseline is required')
+
+    const { models, options } = loadModels(args)
+    const { breaking, dangerous, safe, collisions } = diff(fs.readFileSync(resolve(process.cwd(), baseline), 'utf8'), models, options)
+    const section = (title, lines) => lines.length ? `${title} (${lines.length}):\n${lines.map(line => `  ${line}\n`).join('')}\n` : ''
+
+    const output = section('Breaking changes', breaking.map(change => `${change.type}: ${change.description}`)) +
+        section('Dangerous changes', dangerous.map(change => `${change.type}: ${change.description}`)) +
+        section('Safe changes', safe.map(change => `${change.type}: ${change.description}`)) +
+        section('Field collisions', collisions.map(formatCollision))
+
+    return { output: output || 'No changes\n', breaking: breaking.length > 0 }
+}
+
+/**
+ * Runs the command line
+ * @param {Array} argv The arguments, without node and the script
+ * @returns {Number} The exit code
+ */
+const run = (argv = process.argv.slice(2)) => {
+    const args = parseArgs(argv)
+    const command = args._[0]
+
+    if (args.help || !command) {
+        process.stdout.write(USAGE)
+        return args.help ? 0 : 1
+    }
+
+    if (!['print-schema', 'print-types', 'diff'].includes(command)) {
+        process.stderr.write(`Unknown command "${command}"\n\n${USAGE}`)
+        return 1
+    }
+
+    try {
+        if (command === 'diff') {
+            const { output, breaking } = diffSchema(args)
+
+            if (args.out) fs.writeFileSync(resolve(process.cwd(), args.out), output)
+            else process.stdout.write(output)
+
+            return breaking ? 1 : 0
+        }
+
+        const schema = loadSchema(args)
+        const output = command === 'print-schema' ? `${printSchema(schema)}\n` : printTypeScript(schema)
+
+        if (args.out) fs.writeFileSync(resolve(process.cwd(), args.out), output)
+        else process.stdout.write(output)
+
+        return 0
+    } catch (e) {
+        process.stderr.write(`${e.message}\n`)
+        return 1
+    }
+}
+
+module.exports = {
+    run
+}
\ No newline at end of file
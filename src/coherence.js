@@ -0,0 +1,128 @@
+const { invalidate } = require('./dataloader')
+const { getKey } = require('./key')
+const { evictSharedCache } = require('./cache')
+const { isModel } = require('./helper')
+
+const HOOK_NAME = 'magicGraphqlCoherence'
+const COHERENCE_HOOKS = [
+    'afterCreate', 'afterUpdate', 'afterDestroy', 'afterRestore',
+    'afterBulkCreate', 'afterBulkUpdate', 'afterBulkDestroy', 'afterBulkRestore'
+]
+
+// Rows written by each transaction, by model: `{ rows, deleted, previous, all }`
+const pendingWrites = new WeakMap()
+
+/**
+ * Records the rows a transaction wrote, with their previous values. Without rows (bulk updates and
+ * destroys) every row of the model is stale
+ */
+const recordWrite = (model, transaction, rows, deleted = false) => {
+    if (!transaction) return
+
+    let writes = pendingWrites.get(transaction)
+    if (!writes) {
+        writes = new Map()
+        pendingWrites.set(transaction, writes)
+    }
+
+    const write = writes.get(model) || { rows: [], deleted: [], previous: [], all: false }
+    if (!rows) write.all = true
+    else rows.forEach(row => {
+        (deleted ? write.deleted : write.rows).push(row)
+        if (Object.keys(row.previous()).length) write.previous.push(Object.assign({}, row.get(), row.previous()))
+    })
+
+    writes.set(model, write)
+}
+
+/**
+ * Registers hooks on every model recording the rows each transaction writes, the generated mutations
+ * and the custom ones wrapped in a transaction evict them from the dataloaders of their request once
+ * it is committed (see `applyWrites`). Registering again replaces the hooks.
+ * @param {*} models The sequelize models
+ */
+const registerCoherenceHooks = models => {
+    Object.keys(models).filter(modelName => isModel(models, modelName)).forEach(modelName => {
+        const model = models[modelName]
+
+        const hooks = {
+            afterCreate: (instance, options) => recordWrite(model, options.transaction, [instance]),
+            afterUpdate: (instance, options) => recordWrite(model, options.transaction, [instance]),
+            afterDestroy: (instance, options) => recordWrite(model, options.transaction, [instance], true),
+            afterRestore: (instance, options) => recordWrite(model, options.transaction, [instance]),
+            afterBulkCreate: (instances, options) => {
+                if (!options.individualHooks) recordWrite(model, options.transaction, instances)
+            },
+            afterBulkUpdate: options => {
+                if (!options.individualHooks) recordWrite(model, options.transaction)
+            },
+            afterBulkDestroy: options => {
+                if (!options.individualHooks) recordWrite(model, options.transaction)
+            },
+            afterBulkRestore: options => {
+                if (!options.individualHooks) recordWrite(model, options.transaction)
+            }
+        }
+
+        Object.keys(hooks).forEach(hookType => {
+            model.removeHook(hookType, HOOK_NAME)
+            model.addHook(hookType, HOOK_NAME, hooks[hookType])
+        })
+    })
+}
+
+/**
+ * Removes the hooks registered by `registerCoherenceHooks`
+ * @param {*} models The sequelize models
+ */
+const unregisterCoherenceHooks = models => {
+    Object.keys(models).filter(modelName => isModel(models, modelName)).forEach(modelName => {
+        COHERENCE_HOOKS.forEach(hookType => models[modelName].removeHook(hookType, HOOK_NAME))
+    })
+}
+
+/**
+ * Evicts the rows a committed transaction wrote from the loaders of a dataloader context, under their
+ * new and previous values, then primes the loaders with the fresh instances (but the deleted ones and
+ * the ones read with some attributes only)
+ * @param {*} dataloaderContext The dataloader context of the request, see `createContext`
+ * @param {*} transaction The committed transaction
+ */
+const applyWrites = (dataloaderContext, transaction) => {
+    const writes = pendingWrites.get(transaction)
+    if (!writes) return
+
+    pendingWrites.delete(transaction)
+    writes.forEach((write, model) => invalidate(dataloaderContext, model, write.all ? undefined : write.rows.concat(write.deleted, write.previous)))
+    writes.forEach((write, model) => {
+        if (write.all) return
+
+        const deleted = write.deleted.map(row => JSON.stringify(getKey(model, row)))
+        const fresh = write.rows.filter(row => !deleted.includes(JSON.stringify(getKey(model, row))) && !(row._options && row._options.attributes))
+        if (fresh.length) dataloaderContext.prime(fresh)
+    })
+}
+
+/**
+ * Returns the `invalidate(model, keys)` of the context of a request: evicts rows from its dataloaders
+ * and from the shared cache of the model, for the custom resolvers writing outside of a transaction.
+ * `model` is a model or its name, `keys` primary keys, objects of attribute values or instances, every
+ * row of the model without them
+ * @param {*} dataloaderContext The dataloader context of the request
+ * @param {*} models The sequelize models
+ */
+const createInvalidate = (dataloaderContext, models) => (model, keys) => {
+    const target = typeof model === 'string' ? models[model] : model
+    if (!target) throw new Error(`Unknown model ${model}`)
+
+    const rows = keys === undefined || keys === null ? undefined : [].concat(keys)
+    invalidate(dataloaderContext, target, rows)
+    evictSharedCache(target, rows)
+}
+
+module.exports = {
+    registerCoherenceHooks,
+    unregisterCoherenceHooks,
+    applyWrites,
+    createInvalidate
+}
\ No newline at end of file
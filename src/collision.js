@@ -0,0 +1,41 @@
+/**
+ * Returns the message of a field collision
+ */
+const formatCollision = ({ type, field, origin, previous }) => `${type}.${field} of ${origin} overwrites the one of ${previous}`
+
+/**
+ * Returns a function adding fields to a root type (`Query`, `Mutation`...) that reports the
+ * names already taken by another source: a generated field of another model (plurals that
+ * collide), a custom query or mutation of a model or of the customs folder. The last source
+ * still wins, as before, but `onCollision` gets `{ type, field, origin, previous }`.
+ * @param {String} type The name of the root type
+ * @param {Function} onCollision Called for each collision, warns by default
+ */
+const createFieldAssigner = (type, onCollision) => {
+    const report = onCollision || (collision => console.warn(`magic-graphql: ${formatCollision(collision)}`))
+    // Source of every field added so far
+    const origins = {}
+
+    /**
+     * @param {*} fields The fields of the root type
+     * @param {*} newFields The fields to add
+     * @param {String|Function} origin The source of the new fields, or a function returning the source of a field
+     */
+    return (fields, newFields, origin) => {
+        Object.keys(newFields).forEach(field => {
+            const fieldOrigin = typeof origin === 'function' ? origin(field) : origin
+
+            if (origins[field] && origins[field] !== fieldOrigin) report({ type, field, origin: fieldOrigin, previous: origins[field] })
+
+            origins[field] = fieldOrigin
+            fields[field] = newFields[field]
+        })
+
+        return fields
+    }
+}
+
+module.exports = {
+    createFieldAssigner,
+    formatCollision
+}
\ No newline at end of file
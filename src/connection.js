@@ -0,0 +1,243 @@
+const { GraphQLInt } = require('graphql')
+const { connectionDefinitions, connectionArgs } = require('graphql-relay')
+const { defaultListArgs } = require('graphql-sequelize')
+const { replaceWhereOperators } = require('graphql-sequelize/lib/replaceWhereOperators')
+const Sequelize = require('sequelize')
+const _ = require('lodash')
+
+const { EXPECTED_OPTIONS_KEY } = require('./dataloader')
+const { compileFilter, authorizeWhere } = require('./filter')
+const { compileOrder } = require('./order')
+const { applyParanoid } = require('./paranoid')
+const { applyPageSize } = require('./cost')
+const { authorize, authorizeAttributeQuery } = require('./policy')
+const { joinTransaction } = require('./transaction')
+const { mergeWhere } = require('./helper')
+
+const { Op } = Sequelize
+
+// One connection type per node type, the types are recreated with every schema
+const connectionTypes = new WeakMap()
+
+/**
+ * Returns the relay `<Type>Connection` type of a model type.
+ *
+ * The connection exposes `edges { cursor node }`, `pageInfo` and a lazy `totalCount`.
+ * @param {*} nodeType The `GraphQLObjectType` generated from the model
+ */
+const getConnectionType = nodeType => {
+    if (!connectionTypes.has(nodeType)) {
+        const { connectionType } = connectionDefinitions({
+            nodeType,
+            connectionFields: () => ({
+                totalCount: {
+                    type: GraphQLInt,
+                    description: 'Total number of rows matching the query, ignoring the cursors',
+                    resolve: connection => connection.count()
+                }
+            })
+        })
+
+        connectionTypes.set(nodeType, connectionType)
+    }
+
+    return connectionTypes.get(nodeType)
+}
+
+/**
+ * Returns the arguments accepted by every connection field
+ * @param {*} listArgs The `filter` and `orderBy` arguments of the paginated model
+ */
+const getConnectionArgs = (listArgs = {}) => Object.assign({}, connectionArgs, {
+    where: defaultListArgs().where
+}, listArgs)
+
+/**
+ * Returns the order of a connection with the primary key appended, so every cursor points to a single row
+ * @param {*} model The sequelize model being paginated
+ * @param {*} order Sequelize order, an array of `[attribute or expression, direction]`
+ */
+const getStableOrder = (model, order = []) => {
+    const stableOrder = order.slice()
+
+    model.primaryKeyAttributes.forEach(key => {
+        if (!stableOrder.some(o => o[0] === key)) stableOrder.push([key, 'ASC'])
+    })
+
+    return stableOrder
+}
+
+const isDescending = direction => String(direction).toUpperCase().startsWith('DESC')
+
+const reverseDirection = direction => {
+    const [dir, ...nulls] = String(direction).toUpperCase().split(' ')
+    const reversedNulls = nulls.join(' ').replace(/FIRST|LAST/, n => n === 'FIRST' ? 'LAST' : 'FIRST')
+
+    return [dir === 'DESC' ? 'ASC' : 'DESC', reversedNulls].join(' ').trim()
+}
+
+// Expressions (ordering through associations) are selected under an alias to read them back from the rows
+const cursorAlias = (order, i) => typeof order[i][0] === 'string' ? order[i][0] : `_cursor${i}`
+
+/**
+ * Returns an opaque cursor holding the values of the order attributes of a row. It is only encoded, the
+ * order must not hold attributes the client can't read, see `paginate`
+ */
+const encodeCursor = (order, node) => Buffer.from(JSON.stringify(order.map((o, i) => node.get(cursorAlias(order, i))))).toString('base64')
+
+const decodeCursor = (model, order, cursor) => {
+    let values = null
+    try {
+        values = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'))
+    } catch (e) {
+        values = null
+    }
+
+    if (!Array.isArray(values) || values.length !== order.length) throw new Error(`Invalid cursor "${cursor}"`)
+
+    return values.map((value, i) => {
+        const attribute = typeof order[i][0] === 'string' && model.rawAttributes[order[i][0]]
+
+        return attribute && attribute.type instanceof Sequelize.DATE && value !== null ? new Date(value) : value
+    })
+}
+
+/**
+ * Returns a where clause matching the rows placed after (or before) a cursor in the given order.
+ *
+ * It is a keyset condition, `(a > x) OR (a = x AND b > y) ...`, so the pages do not drift
+ * when rows are inserted or deleted between requests.
+ */
+const cursorWhere = (order, values, before = false) => {
+    const condition = (expression, value) => typeof expression === 'string'
+        ? { [expression]: value }
+        : Sequelize.where(expression, value)
+
+    return {
+        [Op.or]: order.map(([expression, direction], i) => ({
+            [Op.and]: order.slice(0, i).map(([previous], j) => condition(previous, values[j])).concat(
+                condition(expression, { [isDescending(direction) === before ? Op.gt : Op.lt]: values[i] })
+            )
+        }))
+    }
+}
+
+/**
+ * Resolves a relay connection with keyset pagination.
+ * @param {*} model The sequelize model being paginated
+ * @param {*} args Connection arguments: `first`, `after`, `last` and `before`
+ * @param {*} options `where` and `order` of the query, `fetch(findOptions)` returning the rows and `count(findOptions)`
+ */
+const paginate = async (model, args, { where, order, fetch, count }) => {
+    const { first, after, last, before } = args
+
+    if ((first !== undefined && first !== null && first < 0) || (last !== undefined && last !== null && last < 0)) throw new Error('first and last must be positive integers')
+
+    order = getStableOrder(model, order)
+    // The cursors tell the values of the order attributes, the primary keys included
+    order.forEach(([attribute]) => {
+        if (typeof attribute === 'string') authorizeAttributeQuery(model, attribute, 'paginate')
+    })
+
+    const backward = (last !== undefined && last !== null) && (first === undefined || first === null)
+    const size = backward ? last : first
+
+    const conditions = [where]
+    if (after) conditions.push(cursorWhere(order, decodeCursor(model, order, after)))
+    if (before) conditions.push(cursorWhere(order, decodeCursor(model, order, before), true))
+
+    let findOptions = {
+        where: mergeWhere(...conditions),
+        order: backward ? order.map(([attribute, direction]) => [attribute, reverseDirection(direction)]) : order
+    }
+    if (size !== undefined && size !== null) findOptions.limit = size + 1
+
+    const expressions = order.map((o, i) => [o[0], cursorAlias(order, i)]).filter(([expression]) => typeof expression !== 'string')
+    if (expressions.length) findOptions.attributes = { include: expressions }
+
+    let nodes = await fetch(findOptions)
+    const hasMore = findOptions.limit !== undefined && nodes.length > size
+
+    if (hasMore) nodes = nodes.slice(0, size)
+    if (backward) nodes = nodes.reverse()
+    if (!backward && last !== undefined && last !== null && nodes.length > last) nodes = nodes.slice(nodes.length - last)
+
+    const edges = nodes.map(node => ({ cursor: encodeCursor(order, node), node }))
+
+    return {
+        edges,
+        pageInfo: {
+            startCursor: edges.length ? edges[0].cursor : null,
+            endCursor: edges.length ? edges[edges.length - 1].cursor : null,
+            hasPreviousPage: backward ? hasMore : !!after,
+            hasNextPage: backward ? !!before : hasMore
+        },
+        count: _.memoize(() => count({ where }))
+    }
+}
+
+/**
+ * Returns the connection arguments with the page size of the model: `first` defaults to the
+ * default page size, `first` and `last` are at most the max page size
+ */
+const withPageSize = (model, args, limits) => {
+    const backward = args['last'] !== undefined && args['last'] !== null && (args['first'] === undefined || args['first'] === null)
+
+    return backward
+        ? Object.assign({}, args, { last: applyPageSize(model, args['last'], limits) })
+        : Object.assign({}, args, { first: applyPageSize(model, args['first'], limits) })
+}
+
+/**
+ * Returns the resolver of a root `<plural>Connection` query
+ * @param {*} model The sequelize model being paginated
+ * @param {*} limits `options.limits`, the page sizes
+ */
+const connectionResolver = (model, limits) => async (source, args, context) => {
+    const dataloaderContext = context['dataloaderContext'] || context
+    const restriction = await authorize(model, 'read', context, { args })
+    authorizeWhere(model, args['where'])
+    const { where, paranoid } = applyParanoid(model, {
+        where: mergeWhere(args['where'] && replaceWhereOperators(args['where']), await compileFilter(model, args['filter'], context), restriction)
+    }, args)
+
+    return paginate(model, withPageSize(model, args, limits), {
+        where,
+        order: await compileOrder(model, args['orderBy'], context),
+        fetch: findOptions => model.findAll(joinTransaction(Object.assign(findOptions, { paranoid, [EXPECTED_OPTIONS_KEY]: dataloaderContext }), context)),
+        count: findOptions => model.count(joinTransaction(Object.assign(findOptions, { paranoid }), context))
+    })
+}
+
+/**
+ * Returns the resolver of a HasMany / BelongsToMany connection field.
+ *
+ * The rows are loaded through the association getters, so the dataloader shims batch
+ * the pages (and the counts) of every parent in a single query.
+ * @param {*} relation The sequelize association
+ * @param {*} limits `options.limits`, the page sizes
+ */
+const associationConnectionResolver = (relation, limits) => async (source, args, context) => {
+    const dataloaderContext = context['dataloaderContext'] || context
+    const restriction = await authorize(relation.target, 'read', context, { args, source })
+    authorizeWhere(relation.target, args['where'])
+    const { where, paranoid } = applyParanoid(relation.target, {
+        where: mergeWhere(args['where'] && replaceWhereOperators(args['where']), await compileFilter(relation.target, args['filter'], context), restriction)
+    }, args)
+
+    return paginate(relation.target, withPageSize(relation.target, args, limits), {
+        where,
+        order: await compileOrder(relation.target, args['orderBy'], context),
+        fetch: findOptions => relation.get(source, joinTransaction(Object.assign(findOptions, { paranoid, [EXPECTED_OPTIONS_KEY]: dataloaderContext }), context)),
+        count: findOptions => relation.count(source, joinTransaction(Object.assign(findOptions, { paranoid, [EXPECTED_OPTIONS_KEY]: dataloaderContext }), context))
+    })
+}
+
+module.exports = {
+    getConnectionType,
+    getConnectionArgs,
+    getStableOrder,
+    paginate,
+    connectionResolver,
+    associationConnectionResolver
+}
\ No newline at end of file
@@ -0,0 +1,255 @@
+const { GraphQLSchema } = require('graphql')
+
+const { createContext, removeContext } = require('./dataloader')
+const { generateSchema } = require('./generator')
+const { unregisterPublishHooks } = require('./publish')
+const { unregisterCoherenceHooks, createInvalidate } = require('./coherence')
+const { unregisterSharedCacheHooks } = require('./cache')
+const { createErrorFormatter } = require('./errors')
+const { createCostPlugin } = require('./cost')
+const { getInstrumentationMode, instrumentSchema, createInstrumentationPlugin, unregisterQueryHook } = require('./instrumentation')
+const { getPubSub } = require('./pubsub')
+const { watch } = require('./watch')
+
+const defaultOptions = {
+    modelDirPath: null,
+    customsDirPath: null,
+    graphqlEndpint: '/graphql',
+    subscriptions: false,
+    subscriptionHooks: false,
+    subscriptionsProtocol: null,
+    pubsub: null,
+    onPublishError: null,
+    httpServer: null,
+    dataloader: true,
+    dataloaderOptions: { max: 500, cache: true, batch: true },
+    context: {},
+    tracing: false,
+    transactions: true,
+    onCollision: null,
+    errorMappers: [],
+    maskErrors: null,
+    limits: null,
+    watch: false,
+    onReloadError: null,
+    relay: false,
+    instrumentation: null,
+    sharedCacheStore: null
+}
+
+/**
+ * Checks the options shared by every adapter
+ */
+const validateOptions = options => {
+    if (!options.modelDirPath || (typeof options.modelDirPath !== 'string' && typeof options.modelDirPath !== 'object')) throw new Error("options.modelDirPath has an incorrect value, this option is required")
+    if (options.dataloader && !options.dataloaderOptions) throw new Error("dataloaderOptions can't be null")
+    if (options.customsDirPath && typeof options.customsDirPath !== 'string') throw new Error("options.customsDirPath has an incorrect value")
+    if (options.subscriptionsProtocol && !['graphql-ws', 'subscriptions-transport-ws'].includes(options.subscriptionsProtocol)) throw new Error("options.subscriptionsProtocol has an incorrect value")
+}
+
+/**
+ * Returns a lifecycle: `onStop(dispose)` registers what to release (subscription servers,
+ * hooks...) and `stop()` releases it, the last registered first
+ */
+const createLifecycle = () => {
+    let disposers = []
+
+    return {
+        onStop: dispose => {
+            disposers.push(dispose)
+        },
+        stop: async () => {
+            const pending = disposers.reverse()
+            disposers = []
+
+            for (const dispose of pending) await dispose()
+        }
+    }
+}
+
+/**
+ * Returns a tracker of the subscription iterators of a schema, `closeAll()` ends the subscriptions
+ * still running
+ */
+const createIteratorTracker = () => {
+    const iterators = new Set()
+
+    return {
+        track: iterator => {
+            const close = iterator.return
+
+            iterators.add(iterator)
+            iterator.return = function (...args) {
+                iterators.delete(iterator)
+                return close.apply(iterator, args)
+            }
+
+            return iterator
+        },
+        closeAll: () => Promise.all([...iterators].map(iterator => iterator.return()))
+    }
+}
+
+/**
+ * Returns the models of the options, required from `options.modelDirPath` when it is a path
+ */
+const loadModels = options => typeof options.modelDirPath === 'string' ? require(options.modelDirPath) : options.modelDirPath
+
+/**
+ * Returns the framework-agnostic core of the library, every adapter (Express, Koa, Fastify,
+ * http) sits on top of it:
+ *
+ * - `schema` and `models`: the generated `GraphQLSchema` and the models it was generated from
+ * - `context(integrationContext)`: the context factory, called for every operation with what the
+ *   adapter knows of the request (`{ req, res }`, `{ ctx }`, `{ request, reply }`...). It adds
+ *   a fresh `dataloaderContext` and the `models` to `options.context` (an object or a function
+ *   of the integration context), then applies `options.contextWrapper` (to the context object of each
+ *   operation when `options.context` is an object, to the context factory when it is a function)
+ * - `formatError` and `plugins`: the error mapping and the cost limits of the Apollo server
+ * - `reload()`: requires the models and the custom resolvers again and generates a new schema, the
+ *   listeners of `onSchemaChange(listener)` swap it into the servers and the previous sequelize is
+ *   closed. See `options.watch`
+ * - `lifecycle`: `onStop(dispose)` and `stop()`, which also closes the subscription iterators and
+ *   unwraps the dataloader shims of sequelize (`removeContext`)
+ * @param {*} options Options object, read library documentation for more information
+ */
+const createCore = (options = defaultOptions) => {
+    options = Object.assign({}, defaultOptions, options)
+    validateOptions(options)
+
+    const lifecycle = createLifecycle()
+    let listeners = []
+    let iterators = createIteratorTracker()
+    let shimmed = false
+
+    // The queries of each request are counted by its dataloader context, see `instrumentation.js`
+    const instrumentation = options.dataloader && getInstrumentationMode(options)
+
+    const generate = (models, tracker) => {
+        const schema = new GraphQLSchema(generateSchema(models, null, Object.assign({}, options, { trackIterator: tracker.track })))
+
+        return instrumentation ? instrumentSchema(schema) : schema
+    }
+    const dataloaderOptions = instrumentation ? Object.assign({}, options.dataloaderOptions, { instrumentation }) : options.dataloaderOptions
+
+    const userContext = options.context
+    const buildContext = async integrationContext => {
+        const context = typeof userContext === 'function' ? await userContext(integrationContext) : userContext
+        // Without dataloader there is no cache to invalidate
+        if (!options.dataloader) return Object.assign({}, context, { invalidate: () => {} })
+
+        shimmed = true
+        const dataloaderContext = createContext(core.models.sequelize, dataloaderOptions)
+        return Object.assign({}, context, { dataloaderContext, models: core.models, invalidate: createInvalidate(dataloaderContext, core.models) })
+    }
+
+    // As before the core, the wrapper gets the context object when `options.context` is an object, now
+    // built for each operation, and the context factory when it is a function
+    const wrapContext = wrapper => {
+        if (typeof userContext === 'function') return wrapper(buildContext)
+
+        return async integrationContext => {
+            const context = await wrapper(await buildContext(integrationContext))
+            return typeof context === 'function' ? context(integrationContext) : context
+        }
+    }
+
+    // A reloaded models folder brings a new sequelize, the previous one is closed with its connection pool
+    // unless the PubSub engine (an `OutboxPubSub`) still writes through it
+    const release = sequelize => {
+        unregisterQueryHook(sequelize)
+
+        const engine = getPubSub(options)
+        if (engine.model && engine.model.sequelize === sequelize) return
+
+        Promise.resolve().then(() => sequelize.close())
+            .catch(e => console.error(`magic-graphql: the sequelize of the previous models could not be closed\n${e.stack || e}`))
+    }
+
+    const reload = () => {
+        const previous = { models: core.models, iterators }
+        const models = loadModels(options)
+        const tracker = createIteratorTracker()
+        const schema = generate(models, tracker)
+
+        Object.assign(core, { models, schema })
+        iterators = tracker
+        listeners.forEach(listener => listener(schema))
+
+        // The subscriptions of the previous schema end, the clients subscribe again to the new one
+        previous.iterators.closeAll()
+        if (previous.models !== models && options.subscriptions && options.subscriptionHooks) unregisterPublishHooks(previous.models)
+        if (previous.models !== models) unregisterCoherenceHooks(previous.models)
+        if (previous.models !== models) unregisterSharedCacheHooks(previous.models)
+        if (previous.models.sequelize && previous.models.sequelize !== models.sequelize) release(previous.models.sequelize)
+
+        return schema
+    }
+
+    const core = {
+        options,
+        models: null,
+        schema: null,
+        context: options.contextWrapper && typeof options.contextWrapper === 'function' ? wrapContext(options.contextWrapper) : buildContext,
+        formatError: createErrorFormatter(options),
+        plugins: [].concat(
+            options.limits ? [createCostPlugin(() => core.models, options.limits)] : [],
+            instrumentation ? [createInstrumentationPlugin()] : []
+        ),
+        reload,
+        onSchemaChange: listener => {
+            listeners.push(listener)
+            return () => { listeners = listeners.filter(other => other !== listener) }
+        },
+        lifecycle,
+        stop: lifecycle.stop
+    }
+
+    core.models = loadModels(options)
+    core.schema = generate(core.models, iterators)
+
+    // Released last, after the servers
+    lifecycle.onStop(() => {
+        if (shimmed) removeContext(core.models.sequelize)
+        shimmed = false
+    })
+    if (options.subscriptions && options.subscriptionHooks) lifecycle.onStop(() => unregisterPublishHooks(core.models))
+    lifecycle.onStop(() => unregisterCoherenceHooks(core.models))
+    lifecycle.onStop(() => unregisterSharedCacheHooks(core.models))
+    lifecycle.onStop(() => iterators.closeAll())
+
+    if (options.watch) watch(core)
+
+    return core
+}
+
+/**
+ * Swaps the schemas of a reloaded core into an Apollo server and its subscription server, as Apollo
+ * does with the schemas of a gateway
+ * @param {*} core The core
+ * @param {*} server The Apollo server
+ */
+const followSchema = (core, server) => core.lifecycle.onStop(core.onSchemaChange(schema => {
+    server.schema = schema
+    server.schemaDerivedData = Promise.resolve(server.generateSchemaDerivedData(schema))
+    if (server.subscriptionServer) server.subscriptionServer.schema = schema
+}))
+
+/**
+ * Returns the config of an Apollo server built from the core
+ */
+const getApolloConfig = core => ({
+    schema: core.schema,
+    context: core.context,
+    formatError: core.formatError,
+    plugins: core.plugins,
+    tracing: core.options.tracing || false
+})
+
+module.exports = {
+    defaultOptions,
+    validateOptions,
+    createCore,
+    followSchema,
+    getApolloConfig
+}
\ No newline at end of file
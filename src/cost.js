@@ -0,0 +1,184 @@
+const { Kind, getNamedType, getNullableType, isListType, isCompositeType, isObjectType, isAbstractType } = require('graphql')
+const { getArgumentValues } = require('graphql/execution/values')
+const { ApolloError } = require('apollo-server-errors')
+const _ = require('lodash')
+
+const { getProperTypeName, isModel } = require('./helper')
+
+// Rows expected from a list without limit when no page size is set, only used to estimate the cost
+const ESTIMATED_LIST_SIZE = 100
+// Page size of the `<model>Restful` queries without `pageSize`
+const RESTFUL_PAGE_SIZE = 10
+
+/**
+ * Returns the page sizes of a model: `pageSize` (default) and `maxPageSize`. The model options
+ * (`limits`, next to `options.resolvers`) win over `options.limits` of the library
+ * @param {*} model The sequelize model
+ * @param {*} limits `options.limits`
+ */
+const getPageSize = (model, limits) => {
+    const modelLimits = (model && model.options && model.options.limits) || {}
+    const pick = key => modelLimits[key] !== undefined && modelLimits[key] !== null ? modelLimits[key] : (limits || {})[key]
+
+    return { pageSize: pick('pageSize'), maxPageSize: pick('maxPageSize') }
+}
+
+/**
+ * Returns the number of rows a list reads: the size asked, the default page size of the model
+ * when none is asked, at most its max page size. `undefined` means no limit
+ * @param {*} model The sequelize model
+ * @param {Number} size The size asked, `limit`, `first`, `last` or `pageSize`
+ * @param {*} limits `options.limits`
+ */
+const applyPageSize = (model, size, limits) => {
+    const { pageSize, maxPageSize } = getPageSize(model, limits)
+    const asked = size !== undefined && size !== null ? size : pageSize
+
+    return maxPageSize && (asked === undefined || asked === null || asked > maxPageSize) ? maxPageSize : asked
+}
+
+/**
+ * Returns the page size of a `<model>Restful` query, 10 unless the model has a default page size
+ */
+const getRestfulPageSize = (model, size, limits) => applyPageSize(model, size !== undefined && size !== null ? size : getPageSize(model, limits).pageSize || RESTFUL_PAGE_SIZE, limits)
+
+/**
+ * Returns the generated types of each model, by type name
+ */
+const getTypeModels = models => Object.keys(models).filter(modelName => isModel(models, modelName)).reduce((typeModels, modelName) => {
+    typeModels[getProperTypeName(models[modelName]).upperFirst.singular] = models[modelName]
+
+    return typeModels
+}, {})
+
+/**
+ * Returns the fields of a selection set, fragments included
+ */
+const collectFields = (selectionSet, fragments, fields = []) => {
+    selectionSet.selections.forEach(selection => {
+        if (selection.kind === Kind.FIELD) fields.push(selection)
+        else if (selection.kind === Kind.INLINE_FRAGMENT) collectFields(selection.selectionSet, fragments, fields)
+        else if (selection.kind === Kind.FRAGMENT_SPREAD && fragments[selection.name.value]) collectFields(fragments[selection.name.value].selectionSet, fragments, fields)
+    })
+
+    return fields
+}
+
+/**
+ * Returns the cost of a query, the number of rows it can read, and its depth, the nesting of the
+ * models it reads (`users { posts { author } }` is 3). The pagination types (connections, edges,
+ * Restful results) cost nothing, their rows are counted once.
+ *
+ * Lists multiply the rows of their fields by their size: `limit`, `first` / `last` or `pageSize`,
+ * the default page size of the model otherwise. A size over the max page size of the model, a
+ * depth over `limits.depth` or a cost over `limits.cost` throws a `QUERY_LIMIT_EXCEEDED` error.
+ * @param {*} schema The schema
+ * @param {*} document The parsed query
+ * @param {*} options `operationName`, `variables`, `models` and `limits` (`options.limits`)
+ * @returns {{ cost: Number, depth: Number }}
+ */
+const getQueryCost = (schema, document, { operationName, variables = {}, models = {}, limits = {} } = {}) => {
+    const typeModels = getTypeModels(models)
+    const fragments = {}
+    let operation = null
+
+    document.definitions.forEach(definition => {
+        if (definition.kind === Kind.FRAGMENT_DEFINITION) fragments[definition.name.value] = definition
+        else if (definition.kind === Kind.OPERATION_DEFINITION && (!operationName || (definition.name && definition.name.value === operationName))) operation = operation || definition
+    })
+
+    if (!operation) return { cost: 0, depth: 0 }
+
+    const rootType = operation.operation === 'mutation' ? schema.getMutationType() : operation.operation === 'subscription' ? schema.getSubscriptionType() : schema.getQueryType()
+
+    const exceeded = (message, extensions) => new ApolloError(message, 'QUERY_LIMIT_EXCEEDED', extensions)
+    // The fields of an interface (`Node`) are the ones of the types its fragments select
+    const getField = (parentType, name) => parentType.getFields()[name] ||
+        (isAbstractType(parentType) ? schema.getPossibleTypes(parentType).map(type => type.getFields()[name]).find(Boolean) : undefined)
+
+    /**
+     * Returns the cost and the depth of a selection set read `rows` times. `pageRows` are the rows of
+     * the page of a connection or Restful query, read by its `edges` or `results` list
+     */
+    const visit = (selectionSet, parentType, rows, pageRows, depth) => collectFields(selectionSet, fragments).reduce((result, node) => {
+        const field = node.name.value.startsWith('__') ? null : getField(parentType, node.name.value)
+        const type = field && getNamedType(field.type)
+        if (!field || !isCompositeType(type) || !node.selectionSet) return result
+
+        const args = getArgumentValues(field, node, variables)
+        const argNames = field.args.map(arg => arg.name)
+        const model = typeModels[type.name]
+        // `node` and `nodes` read a row of any model, `nodes` one for each id
+        const isNode = !model && isAbstractType(type)
+        let childRows = rows
+        let childPageRows = null
+
+        const checkSize = (sizeModel, size, argName) => {
+            const { maxPageSize } = getPageSize(sizeModel, limits)
+            if (maxPageSize && size > maxPageSize) throw exceeded(`${node.name.value}(${argName}: ${size}) is over the max page size of ${sizeModel.name}, ${maxPageSize}`, { maxPageSize })
+        }
+
+        if (argNames.includes('first') || argNames.includes('pageSize')) {
+            // Connection and Restful queries, their `edges` or `results` read the rows of the page
+            const nodeType = argNames.includes('first') && isObjectType(type) && type.getFields().edges && getNamedType(getNamedType(type.getFields().edges.type).getFields().node.type)
+            const pageModel = nodeType ? typeModels[nodeType.name] : typeModels[_.upperFirst(type.name.replace(/Result$/, ''))]
+            const argName = argNames.includes('first') ? (args['first'] !== undefined ? 'first' : 'last') : 'pageSize'
+            const size = args[argName] !== undefined && args[argName] !== null ? args[argName] : undefined
+
+            if (size !== undefined) checkSize(pageModel, size, argName)
+            childPageRows = rows * ((argName === 'pageSize' ? getRestfulPageSize(pageModel, size, limits) : applyPageSize(pageModel, size, limits)) || ESTIMATED_LIST_SIZE)
+        } else if (isListType(getNullableType(field.type)) && pageRows !== null) {
+            childRows = pageRows
+        } else if (isListType(getNullableType(field.type)) && model) {
+            if (args['limit'] !== undefined && args['limit'] !== null) checkSize(model, args['limit'], 'limit')
+            childRows = rows * (applyPageSize(model, args['limit'], limits) || ESTIMATED_LIST_SIZE)
+        } else if (isListType(getNullableType(field.type)) && isNode) {
+            childRows = rows * (Array.isArray(args['ids']) ? args['ids'].length : ESTIMATED_LIST_SIZE)
+        }
+
+        const child = visit(node.selectionSet, type, childRows, childPageRows, model || isNode ? depth + 1 : depth)
+
+        return {
+            cost: result.cost + (model || isNode ? childRows : 0) + child.cost,
+            depth: Math.max(result.depth, child.depth)
+        }
+    }, { cost: 0, depth })
+
+    const { cost, depth } = visit(operation.selectionSet, rootType, 1, null, 0)
+
+    if (limits.depth && depth > limits.depth) throw exceeded(`The query depth is ${depth}, the max depth is ${limits.depth}`, { depth, maxDepth: limits.depth })
+    if (limits.cost && cost > limits.cost) throw exceeded(`The query cost is ${cost}, the max cost is ${limits.cost}`, { cost, maxCost: limits.cost })
+
+    return { cost, depth }
+}
+
+/**
+ * Returns the Apollo plugin checking the cost of every operation before running it, see
+ * `getQueryCost`. The cost is reported in the `cost` extension of the response
+ * @param {*} models The sequelize models, or a function returning the current ones (see `reload` of the core)
+ * @param {*} limits `options.limits`: `depth`, `cost`, `pageSize` and `maxPageSize`
+ */
+const createCostPlugin = (models, limits) => ({
+    requestDidStart: () => {
+        let cost = null
+
+        return {
+            didResolveOperation: ({ schema, document, operationName, request }) => {
+                cost = getQueryCost(schema, document, { operationName, variables: request.variables || {}, models: typeof models === 'function' ? models() : models, limits })
+            },
+            willSendResponse: ({ response }) => {
+                if (cost) response.extensions = Object.assign({}, response.extensions, {
+                    cost: Object.assign({ maxCost: limits.cost || null, maxDepth: limits.depth || null }, cost)
+                })
+            }
+        }
+    }
+})
+
+module.exports = {
+    getPageSize,
+    applyPageSize,
+    getRestfulPageSize,
+    getQueryCost,
+    createCostPlugin
+}
\ No newline at end of file
@@ -1,4 +1,3 @@
-const DataLoader = require('dataloader')
 const Sequelize = require('sequelize')
 const Promise = require('bluebird')
 const shimmer = require('shimmer')
@@ -7,9 +6,20 @@ const assert = require('assert')
 const _ = require('lodash')
 
 const { methods } = require('../helper')
+const { createLoader, track, createInstrumentation, registerQueryHook, unregisterQueryHook } = require('../instrumentation')
+const { withSharedCache, getRowValues } = require('../cache')
 
 const versionTestRegEx = /^[456]/;
 
+// The model and the attribute (or attributes) of the keys of each autogenerated loader, `through`
+// for the belongs to many loaders, see invalidate
+const loaderKeys = new WeakMap();
+
+function describeLoader(loader, model, attribute, through) {
+    loaderKeys.set(loader, { model, attribute, through });
+    return loader;
+}
+
 function mapResult(attribute, keys, options, result) {
     // Convert an array of results to an object of attribute (primary / foreign / target key) -> array of matching rows
     if (Array.isArray(attribute) && options && options.multiple && !options.raw) {
@@ -116,29 +126,39 @@ function loaderForBTM(model, joinTableName, foreignKey, foreignKeyField, options
     const association = options.association;
     delete options.association;
 
-    return new DataLoader(keys => {
+    return createLoader(keys => {
         let findOptions = Object.assign({}, options);
         delete findOptions.rejectOnEmpty;
-        if (findOptions.limit) {
-            const limit = findOptions.offset && findOptions.offset > 0 ? [findOptions.limit, findOptions.offset] : findOptions.limit;
-            findOptions.groupedLimit = {
-                through: options.through,
-                on: association,
-                limit,
-                values: _.uniq(keys)
-            };
-        } else {
 
+        const throughInclude = keys => {
             const attributes = options.through && options.through.attributes ? [...options.through.attributes, foreignKey] : [foreignKey];
 
-            findOptions.include = [{
+            return [{
                 attributes,
                 association: association.manyFromSource,
                 where: {
                     [foreignKeyField]: keys,
-                    ...options.through.where
+                    ...(options.through && options.through.where)
                 }
             }];
+        };
+
+        if (findOptions.limit && model.sequelize.getDialect() === 'sqlite') {
+            // The grouped limit of a belongs to many fails on sqlite, every key reads its own page
+            return Promise.all(_.uniq(keys).map(key => model.findAll(Object.assign({}, findOptions, { include: throughInclude(key) }))))
+                .then(results => mapResult(attributes, keys, findOptions, _.flatten(results)));
+        }
+
+        if (findOptions.limit) {
+            const limit = findOptions.offset && findOptions.offset > 0 ? [findOptions.limit, findOptions.offset] : findOptions.limit;
+            findOptions.groupedLimit = {
+                through: options.through,
+                on: association,
+                limit,
+                values: _.uniq(keys)
+            };
+        } else {
+            findOptions.include = throughInclude(keys);
         }
 
         return model.findAll(findOptions).then(mapResult.bind(null, attributes, keys, findOptions));
@@ -149,10 +169,11 @@ function loaderForBTM(model, joinTableName, foreignKey, foreignKeyField, options
     });
 }
 
+// The lists of the models with a shared cache are read through it, see `cache.js`
 function loaderForModel(model, attribute, attributeField, options = {}) {
     assert(options.include === undefined, 'options.include is not supported by model loader');
 
-    return new DataLoader(keys => {
+    return createLoader(withSharedCache(model, attribute, `${options.multiple ? 'list' : 'one'}|${getCacheKey(model, attribute, options)}`, keys => {
         const findOptions = Object.assign({}, options);
         delete findOptions.rejectOnEmpty;
 
@@ -172,13 +193,50 @@ function loaderForModel(model, attribute, attributeField, options = {}) {
         }
 
         return model.findAll(findOptions).then(mapResult.bind(null, attribute, keys, options));
-    }, {
+    }, options), {
         cache: typeof options.cache !== 'undefined' ? options.cache : true,
         batch: typeof options.batch !== 'undefined' ? options.batch : true,
         cacheKeyFn: typeof options.cacheKeyFn !== 'undefined' ? options.cacheKeyFn : key => key
     });
 }
 
+// The loaders created with the context read the rows the default way, raw or paranoid: false
+// reads (soft deleted rows included) get their own loader
+function singleAttributeLoader(model, attribute, options) {
+    const loaders = options[EXPECTED_OPTIONS_KEY].loaders;
+    if (!options.raw && options.paranoid !== false) {
+        return loaders[model.name].bySingleAttribute[attribute];
+    }
+
+    const cacheKey = getCacheKey(model, attribute, { raw: options.raw, paranoid: options.paranoid });
+    let loader = loaders.autogenerated.get(cacheKey);
+    if (!loader) {
+        loader = describeLoader(createModelAttributeLoader(model, attribute, { raw: options.raw, paranoid: options.paranoid, logging: options.logging }), model, attribute);
+        loaders.autogenerated.set(cacheKey, loader);
+    }
+    return loader;
+}
+
+// Same as singleAttributeLoader for the composite primary key of a model, the keys are objects
+function compositeKeyLoader(model, options) {
+    const loaders = options[EXPECTED_OPTIONS_KEY].loaders;
+    if (!options.raw && options.paranoid !== false) {
+        return loaders[model.name].byPrimaryKey;
+    }
+
+    const cacheKey = getCacheKey(model, model.primaryKeyAttributes, { raw: options.raw, paranoid: options.paranoid });
+    let loader = loaders.autogenerated.get(cacheKey);
+    if (!loader) {
+        loader = describeLoader(createCompositeKeyLoader(model, { raw: options.raw, paranoid: options.paranoid, logging: options.logging }), model, model.primaryKeyAttributes);
+        loaders.autogenerated.set(cacheKey, loader);
+    }
+    return loader;
+}
+
+function isCompositeKey(model, id) {
+    return model.primaryKeyAttributes.length > 1 && _.isPlainObject(id);
+}
+
 function shimModel(target) {
     if (target.findByPk ? target.findByPk.__wrapped : target.findById.__wrapped) return;
 
@@ -187,31 +245,29 @@ function shimModel(target) {
             if ([null, undefined].indexOf(id) !== -1) {
                 return Promise.resolve(null);
             }
-            if (options.transaction || options.include || activeClsTransaction() || !options[EXPECTED_OPTIONS_KEY]) {
+            if (joinContextTransaction(options) || options.include || activeClsTransaction() || !options[EXPECTED_OPTIONS_KEY]) {
                 return original.apply(this, arguments);
             }
 
-            const loaders = options[EXPECTED_OPTIONS_KEY].loaders;
-            let loader = loaders[this.name].byPrimaryKey;
-            if (options.raw || options.paranoid === false) {
-                const cacheKey = getCacheKey(this, this.primaryKeyAttribute, { raw: options.raw, paranoid: options.paranoid });
-                loader = loaders.autogenerated.get(cacheKey);
-                if (!loader) {
-                    loader = createModelAttributeLoader(this, this.primaryKeyAttribute, { raw: options.raw, paranoid: options.paranoid, logging: options.logging });
-                    loaders.autogenerated.set(cacheKey, loader);
-                }
-            }
+            const loader = isCompositeKey(this, id) ? compositeKeyLoader(this, options) : singleAttributeLoader(this, this.primaryKeyAttribute, options);
             return Promise.resolve(loader.load(id)).then(rejectOnEmpty.bind(null, options));
         };
     });
 }
 
+// The queries of an association getter are counted for the association, `<source>.<as>`
+function trackAssociation(get) {
+    return function trackedGet(...args) {
+        return track({ association: `${this.source.name}.${this.as}` }, () => get.apply(this, args));
+    };
+}
+
 function shimBelongsTo(target) {
     if (target.get.__wrapped) return;
 
     shimmer.wrap(target, 'get', original => {
-        return function batchedGetBelongsTo(instance, options = {}) {
-            if (Array.isArray(instance) || options.include || options.transaction || activeClsTransaction() || !options[EXPECTED_OPTIONS_KEY] || options.where) {
+        return trackAssociation(function batchedGetBelongsTo(instance, options = {}) {
+            if (joinContextTransaction(options) || Array.isArray(instance) || options.include || activeClsTransaction() || !options[EXPECTED_OPTIONS_KEY] || options.where) {
                 return original.apply(this, arguments);
             }
 
@@ -221,25 +277,46 @@ function shimBelongsTo(target) {
                     return Promise.resolve(null);
                 }
 
-                const loader = options[EXPECTED_OPTIONS_KEY].loaders[this.target.name].bySingleAttribute[this.targetKey];
+                const loader = singleAttributeLoader(this.target, this.targetKey, options);
                 return Promise.resolve(loader.load(foreignKeyValue));
             }).then(rejectOnEmpty.bind(null, options));
-        };
+        });
     });
 }
 
+// A has one read with a where clause (a policy restriction, the scope of the association) gets a loader
+// of its own, keyed by the where clause, the loaders of the context read every row
+function restrictedHasOneLoader(association, options) {
+    const loaders = options[EXPECTED_OPTIONS_KEY].loaders;
+    const where = association.scope ? mergeWhere(association.scope, options.where) : options.where;
+    const cacheKey = getCacheKey(association.target, association.foreignKey, { association, where, raw: options.raw, paranoid: options.paranoid });
+
+    let loader = loaders.autogenerated.get(cacheKey);
+    if (!loader) {
+        loader = describeLoader(loaderForModel(association.target, association.foreignKey, association.identifierField, {
+            where,
+            raw: options.raw,
+            paranoid: options.paranoid,
+            logging: options.logging,
+            multiple: false
+        }), association.target, association.foreignKey);
+        loaders.autogenerated.set(cacheKey, loader);
+    }
+    return loader;
+}
+
 function shimHasOne(target) {
     if (target.get.__wrapped) return;
 
     shimmer.wrap(target, 'get', original => {
-        return function batchedGetHasOne(instance, options = {}) {
-            if (Array.isArray(instance) || options.include || options.transaction || activeClsTransaction() || !options[EXPECTED_OPTIONS_KEY]) {
+        return trackAssociation(function batchedGetHasOne(instance, options = {}) {
+            if (joinContextTransaction(options) || Array.isArray(instance) || options.include || activeClsTransaction() || !options[EXPECTED_OPTIONS_KEY]) {
                 return original.apply(this, arguments);
             }
 
-            const loader = options[EXPECTED_OPTIONS_KEY].loaders[this.target.name].bySingleAttribute[this.foreignKey];
+            const loader = options.where || this.scope ? restrictedHasOneLoader(this, options) : singleAttributeLoader(this.target, this.foreignKey, options);
             return Promise.resolve(loader.load(instance.get(this.sourceKey)).then(rejectOnEmpty.bind(null, options)));
-        };
+        });
     });
 }
 
@@ -247,9 +324,9 @@ function shimHasMany(target, dtOptions = {}) {
     if (target.get.__wrapped) return;
 
     shimmer.wrap(target, 'get', original => {
-        return function bathedGetHasMany(instances, options = {}) {
+        return trackAssociation(function bathedGetHasMany(instances, options = {}) {
             let isCount = false;
-            if (options.include || options.transaction || options.separate || activeClsTransaction() || !options[EXPECTED_OPTIONS_KEY]) {
+            if (joinContextTransaction(options) || options.include || options.separate || activeClsTransaction() || !options[EXPECTED_OPTIONS_KEY]) {
                 return original.apply(this, arguments);
             }
 
@@ -283,12 +360,12 @@ function shimHasMany(target, dtOptions = {}) {
             loader = options[EXPECTED_OPTIONS_KEY].loaders.autogenerated.get(cacheKey);
 
             if (!loader) {
-                loader = loaderForModel(this.target, this.foreignKey, this.foreignKeyField, {
+                loader = describeLoader(loaderForModel(this.target, this.foreignKey, this.foreignKeyField, {
                     ...loaderOptions,
                     cache: typeof dtOptions.cache !== 'undefined' ? dtOptions.cache : true,
                     batch: typeof dtOptions.batch !== 'undefined' ? dtOptions.batch : true,
                     cacheKeyFn: typeof dtOptions.cacheKeyFn !== 'undefined' ? dtOptions.cacheKeyFn : key => key
-                });
+                }), this.target, this.foreignKey);
                 options[EXPECTED_OPTIONS_KEY].loaders.autogenerated.set(cacheKey, loader);
             }
 
@@ -318,7 +395,7 @@ function shimHasMany(target, dtOptions = {}) {
                     return result;
                 }).then(rejectOnEmpty.bind(null, options));
             }
-        };
+        });
     });
 }
 
@@ -326,11 +403,11 @@ function shimBelongsToMany(target, dtOptions = {}) {
     if (target.get.__wrapped) return;
 
     shimmer.wrap(target, 'get', original => {
-        return function bathedGetHasMany(instances, options = {}) {
+        return trackAssociation(function bathedGetHasMany(instances, options = {}) {
             let isCount = false;
             assert(this.paired, '.paired missing on belongsToMany association. You need to set up both sides of the association');
 
-            if (options.include || options.transaction || activeClsTransaction() || !options[EXPECTED_OPTIONS_KEY]) {
+            if (joinContextTransaction(options) || options.include || activeClsTransaction() || !options[EXPECTED_OPTIONS_KEY]) {
                 return original.apply(this, arguments);
             }
 
@@ -373,12 +450,13 @@ function shimBelongsToMany(target, dtOptions = {}) {
             const cacheKey = getCacheKey(this.target, [this.paired.manyFromSource.as, this.foreignKey], loaderOptions);
             loader = options[EXPECTED_OPTIONS_KEY].loaders.autogenerated.get(cacheKey);
             if (!loader) {
-                loader = loaderForBTM(this.target, this.paired.manyFromSource.as, this.foreignKey, this.identifierField, {
+                // Keyed by the source rows, any write to the target or the through table can change the lists
+                loader = describeLoader(loaderForBTM(this.target, this.paired.manyFromSource.as, this.foreignKey, this.identifierField, {
                     ...loaderOptions,
                     cache: typeof dtOptions.cache !== 'undefined' ? dtOptions.cache : true,
                     batch: typeof dtOptions.batch !== 'undefined' ? dtOptions.batch : true,
                     cacheKeyFn: typeof dtOptions.cacheKeyFn !== 'undefined' ? dtOptions.cacheKeyFn : key => key
-                });
+                }), this.target, null, this.through.model);
                 options[EXPECTED_OPTIONS_KEY].loaders.autogenerated.set(cacheKey, loader);
             }
 
@@ -392,10 +470,20 @@ function shimBelongsToMany(target, dtOptions = {}) {
                     return result;
                 }).then(rejectOnEmpty.bind(null, options));
             }
-        };
+        });
     });
 }
 
+// A transaction on the dataloader context (a generated mutation is running) disables batching
+// and is passed on to the original query, so it reads the uncommitted rows
+function joinContextTransaction(options) {
+    const context = options[EXPECTED_OPTIONS_KEY];
+    if (context && context.transaction && !options.transaction) {
+        options.transaction = context.transaction;
+    }
+    return !!options.transaction;
+}
+
 function activeClsTransaction() {
     if (versionTestRegEx.test(Sequelize.version)) {
         if (Sequelize._cls && Sequelize._cls.get('transaction')) {
@@ -418,6 +506,12 @@ function createContext(sequelize, options = {}) {
     shimHasMany(sequelize.constructor.Association.HasMany.prototype, options);
     shimBelongsToMany(sequelize.constructor.Association.BelongsToMany.prototype, options);
 
+    let instrumentation;
+    if (options.instrumentation) {
+        registerQueryHook(sequelize);
+        instrumentation = createInstrumentation(options.instrumentation);
+    }
+
     loaders.autogenerated = new LRU({ max: options.max || 500 });
     loaders.resetCache = () => resetCache({ loaders }, sequelize);
 
@@ -427,7 +521,9 @@ function createContext(sequelize, options = {}) {
             bySingleAttribute: {}
         };
         loaders[Model.name].bySingleAttribute[Model.primaryKeyAttribute] = createModelAttributeLoader(Model, Model.primaryKeyAttribute, options);
-        loaders[Model.name].byId = loaders[Model.name].byPrimaryKey = loaders[Model.name].bySingleAttribute[Model.primaryKeyAttribute];
+        loaders[Model.name].byId = loaders[Model.name].byPrimaryKey = Model.primaryKeyAttributes.length > 1 ?
+            createCompositeKeyLoader(Model, options) :
+            loaders[Model.name].bySingleAttribute[Model.primaryKeyAttribute];
     }
 
     for (const Model of Object.values(sequelize.models)) {
@@ -454,10 +550,15 @@ function createContext(sequelize, options = {}) {
             Object.keys(loaders[modelName].bySingleAttribute).forEach(attribute => {
                 loaders[modelName].bySingleAttribute[attribute].prime(result.get(attribute), result);
             });
+
+            const keyAttributes = sequelize.models[modelName].primaryKeyAttributes;
+            if (keyAttributes.length > 1) {
+                loaders[modelName].byPrimaryKey.prime(_.pick(result.get(), keyAttributes), result);
+            }
         });
     }
 
-    return { loaders, prime };
+    return instrumentation ? { loaders, prime, instrumentation } : { loaders, prime };
 }
 
 function removeContext(sequelize) {
@@ -469,23 +570,83 @@ function removeContext(sequelize) {
     shimmer.unwrap(sequelize.constructor.Association.HasOne.prototype, 'get');
     shimmer.unwrap(sequelize.constructor.Association.HasMany.prototype, 'get');
     shimmer.unwrap(sequelize.constructor.Association.BelongsToMany.prototype, 'get');
+    unregisterQueryHook(sequelize);
 }
 
+// Same as loaderForModel for a row by attribute value
 function createModelAttributeLoader(Model, attribute, options = {}) {
-    return new DataLoader(keys => {
+    return createLoader(withSharedCache(Model, attribute, `row|${getCacheKey(Model, attribute, { raw: options.raw, paranoid: options.paranoid })}`, keys => {
         return Model.findAll({
             ...options,
             where: {
                 [attribute]: keys
             }
         }).then(mapResult.bind(null, attribute, keys, {}));
-    }, {
+    }, { raw: options.raw }), {
         cache: typeof options.cache !== 'undefined' ? options.cache : true,
         batch: typeof options.batch !== 'undefined' ? options.batch : true,
         cacheKeyFn: typeof options.cacheKeyFn !== 'undefined' ? options.cacheKeyFn : key => key
     });
 }
 
+// Loads the rows of a model by composite primary key, every key is an object holding each key attribute
+function createCompositeKeyLoader(Model, options = {}) {
+    const attributes = Model.primaryKeyAttributes;
+    const keyOf = row => JSON.stringify(attributes.map(attribute => String(typeof row.get === 'function' ? row.get(attribute) : row[attribute])));
+
+    return createLoader(keys => {
+        return Model.findAll({
+            ...options,
+            where: {
+                [Sequelize.Op.or]: keys.map(key => _.pick(key, attributes))
+            }
+        }).then(result => {
+            const rows = _.keyBy(result, keyOf);
+            return keys.map(key => rows[keyOf(key)] || null);
+        });
+    }, {
+        cache: typeof options.cache !== 'undefined' ? options.cache : true,
+        batch: typeof options.batch !== 'undefined' ? options.batch : true,
+        cacheKeyFn: keyOf
+    });
+}
+
+// Evicts rows of a model from the loaders of a context: the values of their attributes from the
+// attribute loaders and the autogenerated loaders keyed by an attribute of the model (association
+// lists, aggregates), every key of the belongs to many loaders reading or linking the model. The rows
+// are instances, objects of attribute values or primary keys, a loader keyed by an attribute the rows
+// don't hold is cleared, and so is every loader of the model without rows
+function invalidate(context, model, rows) {
+    const { loaders } = context;
+    const values = rows && getRowValues(model, rows);
+
+    const evict = (loader, attribute) => {
+        if (!values || !attribute) return loader.clearAll();
+
+        if (Array.isArray(attribute)) {
+            if (!values.every(row => attribute.every(name => row[name] !== undefined))) return loader.clearAll();
+            return values.forEach(row => loader.clear(_.pick(row, attribute)));
+        }
+
+        if (!values.every(row => attribute in row)) return loader.clearAll();
+        values.forEach(row => {
+            if (row[attribute] !== null && row[attribute] !== undefined) loader.clear(row[attribute]);
+        });
+    };
+
+    const modelLoaders = loaders[model.name];
+    if (modelLoaders) {
+        Object.keys(modelLoaders.bySingleAttribute).forEach(attribute => evict(modelLoaders.bySingleAttribute[attribute], attribute));
+        if (model.primaryKeyAttributes.length > 1) evict(modelLoaders.byPrimaryKey, model.primaryKeyAttributes);
+    }
+
+    loaders.autogenerated.forEach(loader => {
+        const keys = loaderKeys.get(loader);
+        if (keys && keys.model === model) evict(loader, keys.attribute);
+        else if (keys && keys.through === model) loader.clearAll();
+    });
+}
+
 function resetCache(context, sequelize) {
     const { loaders } = context;
     for (const Model of Object.values(sequelize.models)) {
@@ -516,7 +677,9 @@ function resetCache(context, sequelize) {
 module.exports = {
     getCacheKey,
     EXPECTED_OPTIONS_KEY,
+    describeLoader,
     createContext,
     removeContext,
+    invalidate,
     resetCache
 }
\ No newline at end of file
@@ -0,0 +1,70 @@
+const {
+    GraphQLSchema, buildSchema, findBreakingChanges, findDangerousChanges,
+    isObjectType, isInterfaceType, isIntrospectionType, isSpecifiedScalarType
+} = require('graphql')
+
+const { generateSchema } = require('./generator')
+
+/**
+ * Returns the additions, which no client can notice: new types and new output fields.
+ * The other additions (enum values, optional arguments and input fields) are dangerous.
+ */
+const findSafeChanges = (oldSchema, newSchema) => {
+    const oldTypes = oldSchema.getTypeMap()
+    let changes = []
+
+    Object.values(newSchema.getTypeMap())
+        .filter(type => !isIntrospectionType(type) && !isSpecifiedScalarType(type))
+        .forEach(type => {
+            const oldType = oldTypes[type.name]
+
+            if (!oldType) return changes.push({ type: 'TYPE_ADDED', description: `${type.name} was added.` })
+            if (!(isObjectType(type) || isInterfaceType(type)) || !(isObjectType(oldType) || isInterfaceType(oldType))) return
+
+            const oldFields = oldType.getFields()
+            Object.keys(type.getFields())
+                .filter(field => !oldFields[field])
+                .forEach(field => changes.push({ type: 'FIELD_ADDED', description: `${type.name}.${field} was added.` }))
+        })
+
+    return changes
+}
+
+/**
+ * Compares two versions of a schema, each change is classified as `breaking` (removed or
+ * renamed fields, changed types, new required arguments...), `dangerous` (new enum values,
+ * new optional arguments...) or `safe` (new types and fields)
+ * @param {String|GraphQLSchema} baseline The previous schema, or its SDL
+ * @param {String|GraphQLSchema} schema The new schema, or its SDL
+ */
+const diffSchemas = (baseline, schema) => {
+    const oldSchema = typeof baseline === 'string' ? buildSchema(baseline) : baseline
+    const newSchema = typeof schema === 'string' ? buildSchema(schema) : schema
+
+    return {
+        breaking: findBreakingChanges(oldSchema, newSchema).map(({ type, description }) => ({ type, description })),
+        dangerous: findDangerousChanges(oldSchema, newSchema).map(({ type, description }) => ({ type, description })),
+        safe: findSafeChanges(oldSchema, newSchema)
+    }
+}
+
+/**
+ * Compares the schema generated from the models with a baseline, along with the fields
+ * overwritten while generating it (`collisions`, see `options.onCollision`)
+ * @param {String|GraphQLSchema} baseline The previous schema, or its SDL
+ * @param {*} models The sequelize models
+ * @param {*} options The library options
+ */
+const diff = (baseline, models, options = {}) => {
+    let collisions = []
+    const schema = new GraphQLSchema(generateSchema(models, null, Object.assign({}, options, {
+        onCollision: collision => collisions.push(collision)
+    })))
+
+    return Object.assign(diffSchemas(baseline, schema), { collisions })
+}
+
+module.exports = {
+    diffSchemas,
+    diff
+}
\ No newline at end of file
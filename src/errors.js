@@ -0,0 +1,225 @@
+const { ApolloError } = require('apollo-server-errors')
+const { ValidationError, UniqueConstraintError, ForeignKeyConstraintError, AggregateError, BulkRecordError, DatabaseError, ConnectionError } = require('sequelize')
+const _ = require('lodash')
+
+// Stable `extensions.code` of the errors mapped from sequelize
+const CODES = {
+    VALIDATION: 'VALIDATION_ERROR',
+    UNIQUE: 'UNIQUE_CONSTRAINT',
+    FOREIGN_KEY: 'FOREIGN_KEY_CONSTRAINT',
+    DATABASE: 'DATABASE_ERROR',
+    INTERNAL: 'INTERNAL_SERVER_ERROR'
+}
+
+/**
+ * Returns the field error of a validation item, `{ path, message, validator }`. The path starts
+ * with the model of the row (`Order.total`), or with `path` when the row position is known
+ * (`Order.items[2].qty`)
+ */
+const toFieldError = (item, path) => ({
+    path: [path || (item.instance && item.instance.constructor.name), item.path].filter(Boolean).join('.'),
+    message: item.message,
+    validator: item.validatorKey || item.type || null
+})
+
+/**
+ * Returns the GraphQL error of validation failures, every field error in `extensions.fields`
+ * @param {Array} fields The field errors, see `toFieldError`
+ */
+const validationError = fields => new ApolloError(
+    `Validation error: ${fields.map(field => field.message).join(', ')}`,
+    CODES.VALIDATION,
+    { fields }
+)
+
+/**
+ * Returns the rows written by the nested operations of an association, `{ values, path, isNewRecord }`,
+ * see `getNestedInputType`
+ */
+const getNestedRows = (association, ops, path) => {
+    const list = ['HasMany', 'BelongsToMany'].includes(association.associationType)
+    const rows = (operation, values) => list ? values.map((value, i) => [`${path}.${operation}[${i}]`, value]) : [[`${path}.${operation}`, values]]
+    let nested = []
+
+    if (ops.create) rows('create', ops.create).forEach(([rowPath, values]) => nested.push({ values, path: rowPath, isNewRecord: true }))
+    // The updates of a list select their row with `where`
+    if (ops.update) rows('update', ops.update).forEach(([rowPath, values]) => nested.push(list
+        ? { values: values.data, path: `${rowPath}.data`, isNewRecord: false }
+        : { values, path: rowPath, isNewRecord: false }))
+    if (ops.upsert) rows('upsert', ops.upsert).forEach(([rowPath, values]) => nested.push(
+        { values: values.create, path: `${rowPath}.create`, isNewRecord: true },
+        { values: values.update, path: `${rowPath}.update`, isNewRecord: false }
+    ))
+
+    return nested
+}
+
+// The nested operations of a BelongsTo association linking a row to the one written
+const LINKS = ['create', 'connect', 'upsert']
+
+/**
+ * Returns the BelongsTo associations of a model whose foreign key is not null and has no default
+ */
+const getRequiredForeignKeys = model => Object.values(model.associations).filter(association => association.associationType === 'BelongsTo' &&
+    model.rawAttributes[association.foreignKey] &&
+    model.rawAttributes[association.foreignKey].allowNull === false &&
+    model.rawAttributes[association.foreignKey].defaultValue === undefined)
+
+/**
+ * Runs the sequelize validations of a row and of the rows of its nested operations, collecting the
+ * failures with the path of each row
+ */
+const collectValidationErrors = async (model, values, path, isNewRecord, skip, fields) => {
+    if (!values || typeof values !== 'object') return
+
+    const associations = Object.keys(values).filter(key => model.associations[key] && values[key]).map(key => model.associations[key])
+    const attributes = _.omit(values, Object.keys(model.associations))
+    // The nested BelongsTo operations linking a row set the foreign keys of the row
+    const rowSkip = skip.concat(associations.filter(association => association.associationType === 'BelongsTo' && LINKS.some(operation => values[association.as][operation]))
+        .map(association => association.foreignKey))
+    // A new row sends its required foreign keys, or links a row with their association
+    const missingKeys = isNewRecord ? getRequiredForeignKeys(model).filter(association => !rowSkip.includes(association.foreignKey) &&
+        (attributes[association.foreignKey] === null || attributes[association.foreignKey] === undefined)) : []
+    // Rows already written only validate the attributes sent
+    const skipped = (isNewRecord ? rowSkip : Object.keys(model.rawAttributes).filter(attribute => !(attribute in attributes)).concat(rowSkip))
+        .concat(missingKeys.map(association => association.foreignKey))
+
+    fields.push(...missingKeys.map(association => ({
+        path: `${path}.${association.foreignKey}`,
+        message: `${association.foreignKey} or ${association.as} is required`,
+        validator: 'notNull'
+    })))
+
+    try {
+        await model.build(attributes, { isNewRecord }).validate({ skip: skipped })
+    } catch (e) {
+        if (!(e instanceof ValidationError)) throw e
+
+        fields.push(...e.errors.map(item => toFieldError(item, path)))
+    }
+
+    for (const association of associations) {
+        // The row sets the foreign key of the rows it creates
+        const childSkip = ['HasMany', 'HasOne'].includes(association.associationType) ? [association.foreignKey] : []
+
+        for (const row of getNestedRows(association, values[association.as], `${path}.${association.as}`)) {
+            await collectValidationErrors(association.target, row.values, row.path, row.isNewRecord, row.isNewRecord ? childSkip : [], fields)
+        }
+    }
+}
+
+/**
+ * Validates the values sent to a create or update mutation before writing them, so every failure
+ * is reported at once with its path: `Order.total`, `Order.items.create[2].qty`, `Order[1].total`
+ * for bulk creates. A new row needs its required foreign keys, or a nested write of their association
+ * linking a row (`customerId or customer is required` at `order.customerId`). Throws a
+ * `VALIDATION_ERROR` with the failures in `extensions.fields`.
+ * @param {*} model The sequelize model
+ * @param {*} values The values of a row, or an array of rows
+ * @param {Boolean} isNewRecord `false` for updates, only the attributes sent are validated
+ */
+const validateInput = async (model, values, isNewRecord = true) => {
+    let fields = []
+
+    if (Array.isArray(values)) {
+        for (let i = 0; i < values.length; i++) await collectValidationErrors(model, values[i], `${model.name}[${i}]`, isNewRecord, [], fields)
+    } else {
+        await collectValidationErrors(model, values, model.name, isNewRecord, [], fields)
+    }
+
+    if (fields.length) throw validationError(fields)
+}
+
+/**
+ * Maps the sequelize errors to GraphQL errors with a stable code, without the SQL details
+ */
+const mapSequelizeError = error => {
+    if (error instanceof UniqueConstraintError) {
+        const fields = error.errors.length
+            ? error.errors.map(item => toFieldError(Object.assign({}, item, { validatorKey: 'unique' })))
+            : Object.keys(error.fields || {}).map(field => ({ path: field, message: `${field} must be unique`, validator: 'unique' }))
+
+        return new ApolloError(`Unique constraint error: ${fields.map(field => field.message).join(', ')}`, CODES.UNIQUE, { fields })
+    }
+
+    if (error instanceof ValidationError) return validationError(error.errors.map(item => toFieldError(item)))
+
+    // Bulk creates with `validate` report the failures of each row
+    if (error instanceof AggregateError) {
+        const errors = error.errors.map(e => e instanceof BulkRecordError ? e.errors : e)
+        if (errors.length && errors.every(e => e instanceof ValidationError)) return validationError(_.flatMap(errors, e => e.errors.map(item => toFieldError(item))))
+
+        return errors.length ? mapSequelizeError(errors[0]) : undefined
+    }
+
+    if (error instanceof ForeignKeyConstraintError) {
+        const fields = (Array.isArray(error.fields) ? error.fields : Object.keys(error.fields || {}))
+            .map(field => ({ path: field, message: `${field} references a missing row`, validator: 'foreignKey' }))
+
+        return new ApolloError('Foreign key constraint error: a related row is missing or still referenced', CODES.FOREIGN_KEY, { fields })
+    }
+
+    if (error instanceof DatabaseError || error instanceof ConnectionError) return new ApolloError(`Database error: ${error.message}`, CODES.DATABASE)
+}
+
+/**
+ * Returns the Apollo `formatError` mapping the errors of the resolvers.
+ *
+ * Each mapper of `options.errorMappers` gets the error thrown by the resolver and can return
+ * a GraphQL error (an `ApolloError` sets the code), the first result wins, then the sequelize
+ * errors are mapped. With `options.maskErrors` (`NODE_ENV=production` by default) the unmapped
+ * errors become an `Internal server error`, the database ones lose their message, and no
+ * error carries its stack trace or properties (`extensions.exception`).
+ * @param {*} options The library options
+ */
+const createErrorFormatter = (options = {}) => {
+    const mappers = [...(options.errorMappers || []), mapSequelizeError]
+    const mask = options.maskErrors === null || options.maskErrors === undefined ? process.env.NODE_ENV === 'production' : options.maskErrors
+
+    return error => {
+        const original = error.originalError
+        let mapped = null
+
+        if (original && !(original instanceof ApolloError)) {
+            for (const mapper of mappers) {
+                mapped = mapper(original)
+                if (mapped) break
+            }
+        }
+
+        const { locations, path } = error
+
+        if (mapped) {
+            const extensions = Object.assign({ code: CODES.INTERNAL }, mapped.extensions)
+
+            return {
+                message: mask && extensions.code === CODES.DATABASE ? 'Database error' : mapped.message,
+                locations,
+                path,
+                extensions: !mask && error.extensions && error.extensions.exception && error.extensions.exception.stacktrace
+                    ? Object.assign(extensions, { exception: { stacktrace: error.extensions.exception.stacktrace } })
+                    : extensions
+            }
+        }
+
+        if (!mask) return error
+
+        const { exception, ...extensions } = error.extensions || {}
+        // Errors thrown by the resolvers without a code, their message can tell internal details
+        const internal = original && !(original instanceof ApolloError) && extensions.code === CODES.INTERNAL
+
+        return {
+            message: internal ? 'Internal server error' : error.message,
+            locations,
+            path,
+            extensions
+        }
+    }
+}
+
+module.exports = {
+    CODES,
+    validateInput,
+    mapSequelizeError,
+    createErrorFormatter
+}
\ No newline at end of file
@@ -0,0 +1,98 @@
+const fs = require('fs')
+const { join } = require('path')
+
+const { createFieldAssigner } = require('./collision')
+const { createLoader } = require('./instrumentation')
+const { getCustomsPath, getProperTypeName } = require('./helper')
+
+// Loaders of each request, by dataloader context
+const requestLoaders = new WeakMap()
+
+/**
+ * Returns the type extensions of a model, `{ origin, fields }`: `options.resolvers.fields` of the model,
+ * then `customsDirPath/types/<Type>.js` (or `<model>.js`)
+ * @param {*} model The sequelize model
+ * @param {*} options The library options
+ */
+const getTypeExtensions = (model, options = {}) => {
+    let extensions = []
+    const resolvers = model.options && model.options.resolvers
+
+    if (resolvers && resolvers.fields) extensions.push({ origin: `${model.name}.options.resolvers.fields`, fields: resolvers.fields })
+
+    if (options.customsDirPath) {
+        const typesPath = join(getCustomsPath(options.customsDirPath, 'types'), 'types')
+        const names = [getProperTypeName(model).upperFirst.singular, model.name]
+        const file = [].concat(...names.map(name => [`${name}.js`, `${name}.ts`])).find(file => fs.existsSync(join(typesPath, file)))
+
+        if (file) extensions.push({ origin: join(options.customsDirPath, 'types', file), fields: require(join(typesPath, file)) })
+    }
+
+    return extensions
+}
+
+/**
+ * Adds the type extensions of a model to the fields generated for its output type (attributes and
+ * associations). An extension is an object of GraphQL fields, with their own `args` and `resolve`
+ * (it gets the row, the arguments and the context, `dataloaderContext` included), or a function of
+ * `{ types, models }` returning them, to return the generated types (`types.Post`).
+ *
+ * ```js
+ * resolvers: {
+ *     fields: ({ types }) => ({
+ *         fullName: { type: GraphQLString, resolve: user => `${user.firstName} ${user.lastName}` },
+ *         lastPost: { type: types.Post, resolve: (user, args, context) => lastPostOf(context, user.id) }
+ *     })
+ * }
+ * ```
+ *
+ * Extensions overwriting a generated field, or each other, are reported to `options.onCollision`.
+ * @param {*} model The sequelize model
+ * @param {*} fields The generated fields of the output type
+ * @param {*} types The output types of the models
+ * @param {*} options The library options
+ */
+const extendFields = (model, fields, types, options = {}) => {
+    const extensions = getTypeExtensions(model, options)
+    if (!extensions.length) return fields
+
+    const typeName = getProperTypeName(model).upperFirst.singular
+    const assignFields = createFieldAssigner(typeName, options.onCollision)
+    const typesByName = Object.keys(types).reduce((byName, modelName) => Object.assign(byName, { [types[modelName].name]: types[modelName] }), {})
+
+    return extensions.reduce(
+        (extended, { origin, fields: extension }) => assignFields(extended, typeof extension === 'function' ? extension({ types: typesByName, models: model.sequelize.models }) : extension, origin),
+        assignFields({}, fields, `model ${model.name}`)
+    )
+}
+
+/**
+ * Returns the DataLoader `name` of the request, created with `batch` (and the DataLoader `loaderOptions`)
+ * the first time, so the computed fields of the rows of a list are read with a single query:
+ *
+ * ```js
+ * resolve: (user, args, context) => loader(context, 'unreadCount', async userIds => {
+ *     const counts = await models.message.count({ where: { userId: userIds, read: false }, group: ['userId'] })
+ *     return userIds.map(id => (counts.find(count => count.userId === id) || { count: 0 }).count)
+ * }).load(user.id)
+ * ```
+ * @param {*} context The context of the request
+ * @param {String} name The name of the loader
+ * @param {Function} batch The batch function, it gets the keys and returns their values in the same order
+ * @param {*} loaderOptions DataLoader options
+ */
+const loader = (context, name, batch, loaderOptions) => {
+    const owner = (context && context.dataloaderContext) || context
+    if (!requestLoaders.has(owner)) requestLoaders.set(owner, new Map())
+
+    const loaders = requestLoaders.get(owner)
+    if (!loaders.has(name)) loaders.set(name, createLoader(batch, loaderOptions))
+
+    return loaders.get(name)
+}
+
+module.exports = {
+    getTypeExtensions,
+    extendFields,
+    loader
+}
\ No newline at end of file
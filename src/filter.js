@@ -0,0 +1,318 @@
+const {
+    GraphQLInputObjectType, GraphQLList, GraphQLNonNull, GraphQLBoolean, GraphQLString, GraphQLID,
+    GraphQLInt, GraphQLFloat, GraphQLEnumType, getNamedType
+} = require('graphql')
+const Sequelize = require('sequelize')
+
+const { getProperTypeName, mergeWhere } = require('./helper')
+const { authorize, authorizeAttributeQuery } = require('./policy')
+
+const { Op } = Sequelize
+
+// Operator input types are shared by every attribute with the same GraphQL type
+const operatorTypes = new WeakMap()
+
+const STRING_OPERATORS = ['eq', 'ne', 'in', 'notIn', 'like', 'notLike', 'iLike', 'notILike', 'isNull']
+const COMPARABLE_OPERATORS = ['eq', 'ne', 'in', 'notIn', 'lt', 'gt', 'lte', 'gte', 'between', 'isNull']
+const BOOLEAN_OPERATORS = ['eq', 'ne', 'isNull']
+const ENUM_OPERATORS = ['eq', 'ne', 'in', 'notIn', 'isNull']
+
+const operatorsByType = type => {
+    if (type === GraphQLString || type === GraphQLID) return STRING_OPERATORS
+    if (type === GraphQLInt || type === GraphQLFloat || type.name === 'Date') return COMPARABLE_OPERATORS
+    if (type === GraphQLBoolean) return BOOLEAN_OPERATORS
+    if (type instanceof GraphQLEnumType) return ENUM_OPERATORS
+
+    // JSON, arrays and custom scalars can't be filtered
+    return null
+}
+
+/**
+ * Returns the `<Scalar>Operators` input type used to filter the attributes of a GraphQL type.
+ * @param {*} type A GraphQL scalar or enum type
+ */
+const getOperatorType = type => {
+    if (!operatorTypes.has(type)) {
+        const operators = operatorsByType(type)
+
+        operatorTypes.set(type, operators && new GraphQLInputObjectType({
+            name: `${type.name}Operators`,
+            fields: () => operators.reduce((fields, operator) => {
+                if (operator === 'in' || operator === 'notIn') {
+                    fields[operator] = { type: new GraphQLList(new GraphQLNonNull(type)) }
+                } else if (operator === 'between') {
+                    fields[operator] = { type: new GraphQLList(new GraphQLNonNull(type)), description: 'Exactly two values, lower and upper bound' }
+                } else if (operator === 'isNull') {
+                    fields[operator] = { type: GraphQLBoolean }
+                } else {
+                    fields[operator] = { type }
+                }
+
+                return fields
+            }, {}),
+            description: `Operators to filter ${type.name} attributes`
+        }))
+    }
+
+    return operatorTypes.get(type)
+}
+
+/**
+ * Returns a new `<Model>Filter` input type.
+ *
+ * It has one field per filterable attribute, `and`/`or`/`not` to combine filters and one
+ * field per association, matching the rows with at least one associated row passing the filter.
+ * @param {*} model The sequelize model used to create the filter
+ * @param {*} filterTypes Existing filter types, created from all the Sequelize models
+ * @param {*} attributeTypes The fields returned by `attributeFields` for the queryable attributes of the model
+ */
+const generateFilterType = (model, filterTypes, attributeTypes) => {
+    const { upperFirst: { singular: typeName } } = getProperTypeName(model)
+
+    const filterType = new GraphQLInputObjectType({
+        name: `${typeName}Filter`,
+        fields: () => {
+            let fields = {}
+
+            Object.keys(attributeTypes).forEach(attribute => {
+                const rawAttribute = model.rawAttributes[attribute]
+                if (!rawAttribute || rawAttribute.type instanceof Sequelize.VIRTUAL) return
+
+                const operatorType = getOperatorType(getNamedType(attributeTypes[attribute].type))
+                if (operatorType) fields[attribute] = { type: operatorType }
+            })
+
+            Object.keys(model.associations).forEach(associationName => {
+                const targetType = filterTypes[model.associations[associationName].target.name]
+                if (targetType) fields[associationName] = { type: targetType }
+            })
+
+            return Object.assign(fields, {
+                and: { type: new GraphQLList(new GraphQLNonNull(filterType)) },
+                or: { type: new GraphQLList(new GraphQLNonNull(filterType)) },
+                not: { type: filterType }
+            })
+        },
+        description: `Filter for the model ${model.name}, this comment is generated automatically.`
+    })
+
+    return filterType
+}
+
+const compileOperators = (model, attribute, operators) => {
+    const dialect = model.sequelize.getDialect()
+    let where = {}
+
+    Object.keys(operators).forEach(operator => {
+        const value = operators[operator]
+        if (value === undefined) return
+
+        switch (operator) {
+            case 'isNull':
+                if (value !== null) where[value ? Op.is : Op.not] = null
+                break
+            case 'between':
+                if (!Array.isArray(value) || value.length !== 2) throw new Error(`between on ${model.name}.${attribute} expects exactly two values`)
+                where[Op.between] = value
+                break
+            case 'iLike':
+                where[dialect === 'postgres' ? Op.iLike : Op.like] = value
+                break
+            case 'notILike':
+                where[dialect === 'postgres' ? Op.notILike : Op.notLike] = value
+                break
+            default:
+                where[Op[operator]] = value
+        }
+    })
+
+    return where
+}
+
+/**
+ * Returns a literal sub query selecting one column of the rows matching a where clause
+ */
+const subQuery = (model, attribute, where) => {
+    const { queryGenerator } = model.sequelize.getQueryInterface()
+
+    if (model.options.paranoid) where = mergeWhere(where, { [model._timestampAttributes.deletedAt]: null })
+
+    const sql = queryGenerator.selectQuery(model.getTableName(), {
+        attributes: [model.rawAttributes[attribute].field || attribute],
+        where: Sequelize.Utils.mapWhereFieldNames(Object.assign({}, where), model)
+    }, model)
+
+    return Sequelize.literal(`(${sql.replace(/;$/, '')})`)
+}
+
+/**
+ * Returns the where clause matching the rows of the source of an association
+ * having at least one associated row that passes the filter.
+ *
+ * The associated rows are the ones the caller can read: the read rule of the target is checked
+ * (a `ForbiddenError` when it denies) and its row restriction is added to the sub query.
+ */
+const compileAssociationFilter = async (relation, filter, context) => {
+    const restriction = await authorize(relation.target, 'read', context, { filter })
+    const where = mergeWhere(await compileFilter(relation.target, filter, context), restriction) || {}
+
+    switch (relation.associationType) {
+        case 'BelongsTo':
+            return { [relation.foreignKey]: { [Op.in]: subQuery(relation.target, relation.targetKey, where) } }
+        case 'BelongsToMany': {
+            const throughWhere = { [relation.otherKey]: { [Op.in]: subQuery(relation.target, relation.targetKey, where) } }
+            return { [relation.sourceKey]: { [Op.in]: subQuery(relation.through.model, relation.foreignKey, throughWhere) } }
+        }
+        default:
+            // HasOne & HasMany
+            return { [relation.sourceKey]: { [Op.in]: subQuery(relation.target, relation.foreignKey, where) } }
+    }
+}
+
+/**
+ * Compiles the value of a `<Model>Filter` argument into a sequelize where clause.
+ *
+ * It throws a `ForbiddenError` for the attributes the rows can't be queried by (see `isAttributeQueryable`)
+ * and for the associations whose target the context can't read, a filter must not tell the values the
+ * policies hide.
+ * @param {*} model The sequelize model being filtered
+ * @param {*} filter The filter argument
+ * @param {*} context The request context, the read rules of the filtered associations are checked with it
+ * @returns {Promise<Object|undefined>} The where clause
+ */
+const compileFilter = async (model, filter, context) => {
+    if (!filter) return undefined
+
+    let conditions = []
+    for (const key of Object.keys(filter)) {
+        const value = filter[key]
+        if (value === undefined || value === null) continue
+
+        if (key === 'and' || key === 'or') {
+            conditions.push({ [Op[key]]: await Promise.all(value.map(async f => (await compileFilter(model, f, context)) || {})) })
+        } else if (key === 'not') {
+            conditions.push({ [Op.not]: (await compileFilter(model, value, context)) || {} })
+        } else if (model.associations[key]) {
+            conditions.push(await compileAssociationFilter(model.associations[key], value, context))
+        } else if (model.rawAttributes[key]) {
+            authorizeAttributeQuery(model, key, 'filter')
+            conditions.push({ [key]: compileOperators(model, key, value) })
+        }
+    }
+
+    return mergeWhere(...conditions)
+}
+
+/**
+ * Checks the attributes of a raw where clause (the legacy JSON `where` arguments) the way `compileFilter`
+ * does. Operators are walked through, `$attribute$` references included.
+ * @param {*} model The sequelize model being filtered
+ * @param {*} where The where clause, its operators may still be `$` strings
+ */
+const authorizeWhere = (model, where) => {
+    if (Array.isArray(where)) return where.forEach(item => authorizeWhere(model, item))
+    if (!where || typeof where !== 'object' || where instanceof Date) return
+
+    Reflect.ownKeys(where).forEach(key => {
+        const attribute = typeof key === 'string' && /^\$[^.]+\$$/.test(key) ? key.slice(1, -1) : key
+
+        if (typeof attribute === 'string' && model.rawAttributes[attribute]) authorizeAttributeQuery(model, attribute, 'filter')
+        else authorizeWhere(model, where[key])
+    })
+}
+
+/**
+ * Adds the compiled `filter` argument to the where clause of sequelize find options, see `compileFilter`
+ */
+const applyFilter = async (model, findOptions, filter, context) => {
+    if (filter) findOptions.where = mergeWhere(findOptions.where, await compileFilter(model, filter, context))
+
+    return findOptions
+}
+
+/**
+ * Returns `true` when a filter has conditions on associations, which can only be checked by a query
+ */
+const hasAssociationFilter = (model, filter) => !!filter && Object.keys(filter).some(key => {
+    const value = filter[key]
+    if (value === undefined || value === null) return false
+
+    if (key === 'and' || key === 'or') return value.some(f => hasAssociationFilter(model, f))
+    if (key === 'not') return hasAssociationFilter(model, value)
+
+    return !!model.associations[key]
+})
+
+// Dates are compared by time, whatever the side holding a Date or an ISO string
+const comparable = (model, attribute, value) => value !== null && value !== undefined &&
+    (value instanceof Date || model.rawAttributes[attribute].type instanceof Sequelize.DATE) ? new Date(value).getTime() : value
+
+const likeExpression = (pattern, flags) => new RegExp(`^${String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`, flags)
+
+const matchOperators = (model, attribute, operators, actual) => {
+    const value = comparable(model, attribute, actual)
+    const to = expected => comparable(model, attribute, expected)
+    const isNull = value === null || value === undefined
+
+    return Object.keys(operators).every(operator => {
+        const expected = operators[operator]
+        if (expected === undefined) return true
+
+        switch (operator) {
+            case 'isNull': return expected === null || expected === isNull
+            case 'eq': return expected === null ? isNull : !isNull && String(value) === String(to(expected))
+            case 'ne': return expected === null ? !isNull : !isNull && String(value) !== String(to(expected))
+            case 'in': return !isNull && expected.some(e => String(value) === String(to(e)))
+            case 'notIn': return !isNull && !expected.some(e => String(value) === String(to(e)))
+            case 'lt': return !isNull && value < to(expected)
+            case 'gt': return !isNull && value > to(expected)
+            case 'lte': return !isNull && value <= to(expected)
+            case 'gte': return !isNull && value >= to(expected)
+            case 'between':
+                if (!Array.isArray(expected) || expected.length !== 2) throw new Error(`between on ${model.name}.${attribute} expects exactly two values`)
+                return !isNull && value >= to(expected[0]) && value <= to(expected[1])
+            case 'like': return !isNull && likeExpression(expected).test(value)
+            case 'notLike': return !isNull && !likeExpression(expected).test(value)
+            case 'iLike': return !isNull && likeExpression(expected, 'i').test(value)
+            case 'notILike': return !isNull && !likeExpression(expected, 'i').test(value)
+            default: return false
+        }
+    })
+}
+
+/**
+ * Checks the values of a row against a filter without querying the database, the way
+ * `compileFilter` would, attributes that can't be queried included. Association conditions are
+ * not supported, see `hasAssociationFilter`.
+ * @param {*} model The sequelize model
+ * @param {*} filter The filter argument
+ * @param {*} values The attribute values of the row
+ */
+const matchFilter = (model, filter, values) => {
+    if (!filter) return true
+
+    return Object.keys(filter).every(key => {
+        const value = filter[key]
+        if (value === undefined || value === null) return true
+
+        if (key === 'and') return value.every(f => matchFilter(model, f, values))
+        if (key === 'or') return value.some(f => matchFilter(model, f, values))
+        if (key === 'not') return !matchFilter(model, value, values)
+        if (model.associations[key]) throw new Error(`The ${key} association of ${model.name} can't be checked without a query`)
+        if (model.rawAttributes[key]) {
+            authorizeAttributeQuery(model, key, 'filter')
+            return matchOperators(model, key, value, values[key])
+        }
+
+        return true
+    })
+}
+
+module.exports = {
+    generateFilterType,
+    compileFilter,
+    authorizeWhere,
+    applyFilter,
+    hasAssociationFilter,
+    matchFilter
+}
\ No newline at end of file
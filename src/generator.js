@@ -1,19 +1,38 @@
 const fs = require('fs')
-const { resolve, join, dirname } = require('path')
-const { GraphQLObjectType, GraphQLInputObjectType, GraphQLList, GraphQLInt, GraphQLString, GraphQLNonNull } = require('graphql')
+const { join } = require('path')
+const { GraphQLObjectType, GraphQLInputObjectType, GraphQLList, GraphQLInt, GraphQLString, GraphQLBoolean, GraphQLNonNull, getNullableType } = require('graphql')
 const { resolver, attributeFields, defaultListArgs, defaultArgs } = require('graphql-sequelize')
-const { PubSub } = require('graphql-subscriptions')
+const { withFilter } = require('graphql-subscriptions')
 const appRoot = require('app-root-path')
+const Sequelize = require('sequelize')
 
 const { EXPECTED_OPTIONS_KEY } = require('./dataloader')
+const { getConnectionType, getConnectionArgs, connectionResolver, associationConnectionResolver } = require('./connection')
+const { generateFilterType, applyFilter, compileFilter, authorizeWhere, hasAssociationFilter, matchFilter } = require('./filter')
+const { generateOrderType, applyOrder } = require('./order')
+const { isParanoid, getParanoidArgs, applyParanoid } = require('./paranoid')
+const { getKeyArgs, getKeyType, getKey, keyWhere } = require('./key')
+const { generateAggregateTypes, generateAggregateField, generateAssociationAggregateField } = require('./aggregate')
+const { runInTransaction, transactionalResolver, joinTransaction } = require('./transaction')
+const { publish, registerPublishHooks, getEventValues, getEventRow } = require('./publish')
+const { getPubSub } = require('./pubsub')
+const { registerCoherenceHooks } = require('./coherence')
+const { registerSharedCacheHooks } = require('./cache')
+const { createFieldAssigner } = require('./collision')
+const { validateInput } = require('./errors')
+const { applyPageSize, getRestfulPageSize } = require('./cost')
+const { authorize, authorizeValues, authorizeFind, isAttributeHidden, isAttributeQueryable, getVirtualSources, protectAttributeFields, canRead } = require('./policy')
+const { extendFields } = require('./extensions')
+const { getNestedInputType, hasNestedValues, createNested, updateNested } = require('./nested')
+const { generateInputTypes } = require('./input')
+const { createNodeInterface, addNodeFields, generateNodeQueries } = require('./node')
 
 const _ = require('lodash')
 const helper = require('./helper')
 
-const pubSub = new PubSub()
-
-const { getProperTypeName } = helper
-let cache = {} // Cache fix
+const { getProperTypeName, getCustomsPath, mergeWhere } = helper
+// Types of the attributes (enums...) shared by the types of a schema, every schema generated gets its own
+let cache = {}
 // Dataloader ⭐️
 resolver.contextToOptions = {
     dataloaderContext: [EXPECTED_OPTIONS_KEY]
@@ -24,11 +43,15 @@ resolver.contextToOptions = {
  *
  * It iterates over all the associations and produces an object compatible with GraphQL-js.
  * BelongsToMany and HasMany associations are represented as a `GraphQLList` whereas a BelongTo
- * is simply an instance of a type.
+ * is simply an instance of a type. Output types also get a relay `<association>Connection`
+ * field for each list association, and an `<association>Aggregate` field for each HasMany.
+ * Input types get the nested operations of each association instead, see `getNestedInputType`.
  * @param {*} associations A collection of sequelize associations
  * @param {*} types Existing `GraphQLObjectType` types, created from all the Sequelize models
+ * @param {*} modelTypes Every type generated from the models, used for the arguments (filters and order)
+ * @param {*} options The library options, `options.limits` sets the page sizes of the lists
  */
-const generateAssociationFields = (associations, types, isInput = false) => {
+const generateAssociationFields = (associations, types, isInput = false, modelTypes = {}, options = {}) => {
     let fields = {}
     for (let associationName in associations) {
         const relation = associations[associationName]
@@ -38,11 +61,40 @@ const generateAssociationFields = (associations, types, isInput = false) => {
             ? new GraphQLList(types[relation.target.name])
             : types[relation.target.name]
 
-        fields[associationName] = { type }
+        fields[associationName] = { type: isInput ? getNestedInputType(relation, modelTypes) : type }
 
         if (!isInput) {
             // GraphQLInputObjectType do not accept fields with resolve
-            fields[associationName].resolve = resolver(relation)
+            fields[associationName].resolve = resolver(relation, {
+                before: async (findOptions, args, context, info) => {
+                    // Lists read a page of the default size unless a `limit` is given
+                    if (type instanceof GraphQLList) findOptions.limit = applyPageSize(relation.target, findOptions.limit, options.limits)
+
+                    return authorizeFind(
+                        relation.target,
+                        await applyListArgs(relation.target, joinTransaction(findOptions, context), args, context),
+                        context,
+                        { args, source: info.source }
+                    )
+                }
+            })
+
+            if (type instanceof GraphQLList) {
+                const listArgs = Object.assign({}, getFilterArgs(modelTypes, relation.target.name), getOrderArgs(modelTypes, relation.target.name), getParanoidArgs(relation.target))
+                fields[associationName].args = Object.assign({ limit: defaultListArgs().limit }, listArgs)
+
+                fields[`${associationName}Connection`] = {
+                    type: getConnectionType(types[relation.target.name]),
+                    args: getConnectionArgs(listArgs),
+                    resolve: associationConnectionResolver(relation, options.limits)
+                }
+
+                if (relation.associationType === 'HasMany' && modelTypes.aggregateTypes && modelTypes.aggregateTypes[relation.target.name]) {
+                    fields[`${associationName}Aggregate`] = generateAssociationAggregateField(relation, modelTypes.aggregateTypes[relation.target.name], listArgs)
+                }
+            } else if (isParanoid(relation.target)) {
+                fields[associationName].args = getParanoidArgs(relation.target)
+            }
         }
     }
     return fields
@@ -55,22 +107,45 @@ const generateAssociationFields = (associations, types, isInput = false) => {
  * fields are generated from its sequelize associations.
  * @param {*} model The sequelize model used to create the `GraphQLObjectType`
  * @param {*} types Existing `GraphQLObjectType` types, created from all the Sequelize models
+ * @param {*} modelTypes Every type generated from the models, used for the arguments of the association fields
+ * @param {*} options The library options
  */
-const generateGraphQLType = (model, types, isInput = false) => {
+const generateGraphQLType = (model, types, isInput = false, modelTypes = {}, options = {}) => {
     const GraphQLClass = isInput ? GraphQLInputObjectType : GraphQLObjectType
 
     const { upperFirst: { singular: typeName } } = getProperTypeName(model)
 
+    // Attributes whose policy is `false` are not part of the type at all, nor the virtual attributes without setter of the inputs
+    const exclude = ['contrasena'].concat(Object.keys(model.rawAttributes).filter(attribute => isInput
+        ? (isAttributeHidden(model, attribute, 'create') && isAttributeHidden(model, attribute, 'update')) || (model.rawAttributes[attribute].type instanceof Sequelize.VIRTUAL && !model.rawAttributes[attribute].set)
+        : isAttributeHidden(model, attribute, 'read')
+    ))
+
     return new GraphQLClass({
         name: isInput ? `${typeName}Input` : typeName,
-        fields: () => Object.assign(
-            attributeFields(model, {
-                exclude: ['contrasena'],
+        fields: () => {
+            const fields = attributeFields(model, {
+                exclude,
                 allowNull: !!isInput,
                 cache
-            }),
-            generateAssociationFields(model.associations, types, isInput)
-        ),
+            })
+
+            if (isInput) return Object.assign(fields, generateAssociationFields(model.associations, types, isInput, modelTypes, options))
+
+            // The resolvers read every column, the source columns of the virtual attributes included
+            Object.keys(fields).forEach(attribute => {
+                const sources = getVirtualSources(model, attribute)
+                if (sources.length && !fields[attribute].description) fields[attribute].description = `Computed from ${sources.join(', ')}`
+            })
+
+            const modelFields = Object.assign(
+                protectAttributeFields(model, fields),
+                generateAssociationFields(model.associations, types, isInput, modelTypes, options)
+            )
+
+            return extendFields(model, modelTypes.nodeInterface ? addNodeFields(model, modelFields) : modelFields, types, options)
+        },
+        interfaces: () => !isInput && modelTypes.nodeInterface ? [modelTypes.nodeInterface] : [],
         description: `The name of the model is ${model.name}, this comment is generated automatically.`
     })
 }
@@ -81,26 +156,84 @@ const generateGraphQLType = (model, types, isInput = false) => {
  * It creates an object whose properties are `GraphQLObjectType` created
  * from Sequelize models.
  * @param {*} models The sequelize models used to create the types
+ * @param {*} options The library options
  */
-const generateModelTypes = models => {
+const generateModelTypes = (models, options = {}) => {
+    cache = {}
     let outputTypes = {}
     let inputTypes = {}
+    let filterTypes = {}
+    let orderTypes = {}
+    let aggregateTypes = {}
+    let createInputTypes = {}
+    let updateInputTypes = {}
+    let nestedTypes = {}
+    const modelTypes = { outputTypes, inputTypes, createInputTypes, updateInputTypes, filterTypes, orderTypes, aggregateTypes, nestedTypes }
+    // With `options.relay` the output types implement `Node`, see `node.js`
+    if (options.relay) modelTypes.nodeInterface = createNodeInterface()
+
     for (let modelName in models) {
-        // Only our models, not Sequelize or sequelize
-        if (models[modelName].hasOwnProperty('name') && modelName !== 'Sequelize' && modelName !== 'sequelize' && modelName !== 'Op') {
+        if (helper.isModel(models, modelName)) {
             outputTypes[modelName] = generateGraphQLType(
                 models[modelName],
-                outputTypes
+                outputTypes,
+                false,
+                modelTypes,
+                options
             )
             inputTypes[modelName] = generateGraphQLType(
                 models[modelName],
                 inputTypes,
-                true
+                true,
+                modelTypes,
+                options
             )
+
+            const attributeTypes = attributeFields(models[modelName], { exclude: ['contrasena'], cache })
+            // Filters, sorts and aggregates only offer the attributes every client can read, see `isAttributeQueryable`
+            const queryableTypes = _.pickBy(attributeTypes, (type, attribute) => isAttributeQueryable(models[modelName], attribute))
+            const { createInput, updateInput } = generateInputTypes(models[modelName], modelTypes, attributeTypes)
+            if (createInput) createInputTypes[modelName] = createInput
+            if (updateInput) updateInputTypes[modelName] = updateInput
+            filterTypes[modelName] = generateFilterType(models[modelName], filterTypes, queryableTypes)
+            orderTypes[modelName] = generateOrderType(models[modelName], orderTypes, queryableTypes)
+            aggregateTypes[modelName] = generateAggregateTypes(models[modelName], queryableTypes)
         }
     }
 
-    return { outputTypes, inputTypes }
+    return modelTypes
+}
+
+/**
+ * Returns the `filter` argument of a model, empty when there is no filter type for it
+ * @param {*} modelTypes Every type generated from the models
+ * @param {*} modelName Name of the filtered model
+ */
+const getFilterArgs = (modelTypes, modelName) => {
+    const filterType = modelTypes.filterTypes && modelTypes.filterTypes[modelName]
+
+    return filterType ? { filter: { type: filterType } } : {}
+}
+
+/**
+ * Returns the `orderBy` argument of a model, empty when the model has no sortable attribute
+ * @param {*} modelTypes Every type generated from the models
+ * @param {*} modelName Name of the sorted model
+ */
+const getOrderArgs = (modelTypes, modelName) => {
+    const orderType = modelTypes.orderTypes && modelTypes.orderTypes[modelName]
+
+    return orderType ? { orderBy: { type: new GraphQLList(new GraphQLNonNull(orderType)) } } : {}
+}
+
+/**
+ * Applies the `filter`, `orderBy`, `includeDeleted` and `onlyDeleted` arguments to sequelize find options,
+ * the attributes of the legacy `where` argument are checked like the ones of `filter`
+ */
+const applyListArgs = async (model, findOptions, args, context) => {
+    authorizeWhere(model, args['where'])
+
+    return applyParanoid(model, await applyOrder(model, await applyFilter(model, findOptions, args['filter'], context), args['orderBy'], context), args)
 }
 /**
  * Info type
@@ -121,14 +254,37 @@ const infoType = new GraphQLObjectType({
  * It creates an object whose properties are `GraphQLObjectType` created
  * from Sequelize models.
  * @param {*} models The sequelize models used to create the root `GraphQLSchema`
+ * @param {*} modelTypes The types generated from the models
  */
-const generateQueryRootType = (models, outputTypes, options) => {
+const generateQueryRootType = (models, modelTypes, options) => {
+    const { outputTypes } = modelTypes
+    const assignFields = createFieldAssigner('Query', options.onCollision)
+    const { limits } = options
+    // Queries of the customs folder, added once after the generated ones
+    let fileCustoms = {}
+    let fileOrigins = {}
+
     return new GraphQLObjectType({
         name: 'Query',
-        fields: Object.keys(outputTypes).reduce(
+        fields: assignFields(Object.keys(outputTypes).reduce(
             (fields, modelTypeName) => {
                 const modelType = outputTypes[modelTypeName]
                 const { lowerFirst } = getProperTypeName(models[modelTypeName])
+                const filterArgs = getFilterArgs(modelTypes, modelTypeName)
+                const paranoidArgs = getParanoidArgs(models[modelTypeName])
+                const listArgs = Object.assign({}, filterArgs, getOrderArgs(modelTypes, modelTypeName), paranoidArgs)
+                const before = async (findOptions, args, context) => authorizeFind(
+                    models[modelTypeName],
+                    await applyListArgs(models[modelTypeName], joinTransaction(findOptions, context), args, context),
+                    context,
+                    { args }
+                )
+                // Lists read a page of the default size unless a `limit` is given
+                const beforeList = (findOptions, args, context) => before(Object.assign(findOptions, { limit: applyPageSize(models[modelTypeName], findOptions.limit, limits) }), args, context)
+                const aggregateTypes = modelTypes.aggregateTypes && modelTypes.aggregateTypes[modelTypeName]
+                const aggregate = aggregateTypes ? {
+                    [`${lowerFirst.singular}Aggregate`]: generateAggregateField(models[modelTypeName], aggregateTypes, filterArgs)
+                } : {}
                 /**
                  * ? Antonio
                  * TODO: Mirar si tiene custom resolvers y colocarlos a los de default
@@ -156,9 +312,7 @@ const generateQueryRootType = (models, outputTypes, options) => {
                 }
 
                 if (options.customsDirPath) {
-                    let customQueryPath = join(dirname(require.main.filename), options.customsDirPath)
-
-                    if (!fs.existsSync("".concat(customQueryPath, "/query"))) customQueryPath = join('/' + resolve(__dirname).split('/').slice(1, 6).join('/'), options.customsDirPath)
+                    const customQueryPath = getCustomsPath(options.customsDirPath, 'query')
 
                     if (fs.existsSync(`${customQueryPath}/query`)) {
                         fs.readdirSync(`${customQueryPath}/query`)
@@ -168,24 +322,31 @@ const generateQueryRootType = (models, outputTypes, options) => {
 
                                 if (!objQuery['name']) objQuery['name'] = file.replace('.js', '').replace('.ts', '')
 
-                                customs[objQuery['name']] = objQuery
+                                fileOrigins[objQuery['name']] = join(options.customsDirPath, 'query', file)
+                                fileCustoms[objQuery['name']] = objQuery
                             })
                     }
                 }
 
-                return Object.assign(fields, {
+                assignFields(fields, {
                     [lowerFirst.singular]: {
                         type: modelType,
-                        args: Object.assign(defaultArgs(models[modelTypeName])),
-                        resolve: resolver(models[modelTypeName])
+                        args: Object.assign(defaultArgs(models[modelTypeName]), filterArgs, paranoidArgs),
+                        resolve: resolver(models[modelTypeName], { before })
                     },
                     [lowerFirst.plural]: {
                         type: new GraphQLList(modelType),
                         args: Object.assign(
                             defaultArgs(models[modelTypeName]),
-                            defaultListArgs()
+                            defaultListArgs(),
+                            listArgs
                         ),
-                        resolve: resolver(models[modelTypeName])
+                        resolve: resolver(models[modelTypeName], { before: beforeList })
+                    },
+                    [`${lowerFirst.plural}Connection`]: {
+                        type: getConnectionType(modelType),
+                        args: getConnectionArgs(listArgs),
+                        resolve: connectionResolver(models[modelTypeName], limits)
                     },
                     [`${lowerFirst.singular}Restful`]: {
                         type: new GraphQLObjectType({
@@ -211,24 +372,17 @@ const generateQueryRootType = (models, outputTypes, options) => {
                                 order: {
                                     type: new GraphQLList(new GraphQLList(GraphQLString))
                                 }
-                            }
+                            },
+                            listArgs
                         ),
-                        resolve: (parent, args, context) => {
+                        resolve: async (parent, args, context) => {
                             let options = {}
-                            if (args['where']) {
-                                let whereObjectParsed = args['where']
-                                for (var key in args['where']) {
-                                    var value = args['where'][key]
-                                    if (String(value).includes('%')) {
-                                        whereObjectParsed[key] = { [models.Op.like]: value }
-                                    }
-                                }
-
-                                options['where'] = whereObjectParsed
-                            }
-
+                            if (args['where']) options['where'] = args['where']
                             if (args['order']) options['order'] = args['order']
-                            options['limit'] = args['pageSize'] ? parseInt(args['pageSize']) : 10
+                            await applyListArgs(models[modelTypeName], joinTransaction(options, context), args, context)
+                            await authorizeFind(models[modelTypeName], options, context, { args })
+
+                            options['limit'] = getRestfulPageSize(models[modelTypeName], args['pageSize'] ? parseInt(args['pageSize']) : undefined, limits)
                             options['offset'] = args['page'] ? (args['page'] - 1) * options['limit'] : 0
 
                             if (!options[EXPECTED_OPTIONS_KEY]) {
@@ -245,26 +399,57 @@ const generateQueryRootType = (models, outputTypes, options) => {
                             }))
                         }
                     }
-                }, customs)
+                }, `model ${modelTypeName}`)
+                assignFields(fields, aggregate, `model ${modelTypeName}`)
+
+                // Custom queries win over the generated ones, the collisions are reported
+                return assignFields(fields, customs, `${modelTypeName}.options.resolvers.query`)
             },
-            {}
-        )
+            modelTypes.nodeInterface ? assignFields({}, generateNodeQueries(models, modelTypes.nodeInterface), 'relay') : {}
+        ), fileCustoms, field => fileOrigins[field])
     })
 }
 
-const generateMutationRootType = (models, inputTypes, outputTypes, options) => {
-    const myPubSub = options['pubSub'] || pubSub
+const generateMutationRootType = (models, modelTypes, options) => {
+    const { inputTypes, createInputTypes, updateInputTypes, outputTypes, filterTypes } = modelTypes
+    const assignFields = createFieldAssigner('Mutation', options.onCollision)
+    // Mutations of the customs folder, added once after the generated ones
+    let fileCustoms = {}
+    let fileOrigins = {}
+    const myPubSub = getPubSub(options)
+
+    // With `subscriptionHooks` the model hooks publish the events of every write, the mutations don't
+    const publishes = options.subscriptions && !options.subscriptionHooks
+    const notify = (model, event, row, transaction) => publishes && publish(myPubSub, model, event, row, transaction, options.onPublishError)
+
+    // Generated mutations run in a transaction unless `options.transactions` is false, 'all' adds the custom ones
+    // Without transaction the writes are not tracked, the whole cache of the dataloaders is reset
+    const inTransaction = (model, context, work) => options.transactions === false
+        ? Promise.resolve(work(context && context.transaction)).then(result => {
+            const dataloaderContext = context && !context.transaction && context['dataloaderContext']
+            if (dataloaderContext && dataloaderContext.loaders) dataloaderContext.loaders.resetCache()
+            return result
+        })
+        : runInTransaction(model.sequelize, context, work)
+    const customResolver = (model, resolve) => options.transactions === 'all' && typeof resolve === 'function'
+        ? transactionalResolver(model.sequelize, resolve)
+        : resolve
 
     return new GraphQLObjectType({
         name: 'Mutation',
-        fields: Object.keys(inputTypes).reduce(
+        fields: assignFields(Object.keys(inputTypes).reduce(
             (fields, inputTypeName) => {
                 const inputType = inputTypes[inputTypeName]
-                const key = models[inputTypeName].primaryKeyAttributes[0]
-                const { upperFirst, lowerFirst, toUpperWithLodashes } = getProperTypeName(models[inputTypeName])
+                // Models without attributes to write (see `generateInputTypes`) have no input, nor update mutations
+                const createInput = createInputTypes && createInputTypes[inputTypeName]
+                const updateInput = updateInputTypes && updateInputTypes[inputTypeName]
+                const keyAttributes = models[inputTypeName].primaryKeyAttributes
+                const { upperFirst } = getProperTypeName(models[inputTypeName])
 
-                // Deep hasmany associations
-                const includeArrayModels = getDeepAssociations(inputTypeName, models)
+                // Rows of paranoid models are soft deleted unless `force` is set
+                const forceArgs = isParanoid(models[inputTypeName])
+                    ? { force: { type: GraphQLBoolean, description: 'Delete the rows for good instead of soft deleting them' } }
+                    : {}
 
                 let customs = {}
                 if (models[inputTypeName]['options'] && models[inputTypeName]['options']['resolvers'] && models[inputTypeName]['options']['resolvers']['mutation']) {
@@ -273,23 +458,21 @@ const generateMutationRootType = (models, inputTypes, outputTypes, options) => {
                         let mutation = models[inputTypeName]['options']['resolvers']['mutation'][keyMutation]
 
                         if (typeof mutation !== 'function') {
-                            customs[keyMutation] = mutation
+                            customs[keyMutation] = Object.assign({}, mutation, { resolve: customResolver(models[inputTypeName], mutation.resolve) })
                         } else {
                             customs[keyMutation] = {
                                 type: outputTypes[inputTypeName],
                                 args: {
                                     [inputTypeName]: { type: inputType }
                                 },
-                                resolve: mutation
+                                resolve: customResolver(models[inputTypeName], mutation)
                             }
                         }
                     }
                 }
 
                 if (options.customsDirPath) {
-                    let customQueryPath = join(dirname(require.main.filename), options.customsDirPath)
-
-                    if (!fs.existsSync("".concat(customQueryPath, "/mutation"))) customQueryPath = join('/' + resolve(__dirname).split('/').slice(1, 6).join('/'), options.customsDirPath)
+                    const customQueryPath = getCustomsPath(options.customsDirPath, 'mutation')
 
                     if (fs.existsSync(`${customQueryPath}/mutation`)) {
                         fs.readdirSync(`${customQueryPath}/mutation`)
@@ -299,153 +482,333 @@ const generateMutationRootType = (models, inputTypes, outputTypes, options) => {
 
                                 if (!objQuery['name']) objQuery['name'] = file.replace('.js', '').replace('.ts', '')
 
-                                customs[objQuery['name']] = objQuery
+                                fileOrigins[objQuery['name']] = join(options.customsDirPath, 'mutation', file)
+                                fileCustoms[objQuery['name']] = Object.assign({}, objQuery, { resolve: customResolver(models[inputTypeName], objQuery.resolve) })
                             })
                     }
                 }
 
-                const toReturn = Object.assign(fields, {
+                const toReturn = assignFields(fields, _.omitBy({
                     [`add${upperFirst.singular}`]: {
                         type: outputTypes[inputTypeName], // what is returned by resolve, must be of type GraphQLObjectType
                         description: 'Create a ' + inputTypeName,
-                        args: {
-                            [inputTypeName]: { type: inputType }
-                        },
+                        args: createInput ? {
+                            [inputTypeName]: { type: new GraphQLNonNull(createInput) }
+                        } : {},
                         resolve: async (source, args, context, info) => {
-                            const newObject = await models[inputTypeName].create(args[inputTypeName], { include: includeArrayModels })
+                            const values = args[inputTypeName] || {}
 
-                            // SubScription
-                            if (options.subscriptions) myPubSub.publish(`${toUpperWithLodashes.singular}_ADDED`, { [`${lowerFirst.singular}Added`]: newObject })
+                            await authorize(models[inputTypeName], 'create', context, { args, values })
+                            await authorizeValues(models[inputTypeName], 'create', context, values)
+                            await validateInput(models[inputTypeName], values)
 
-                            return newObject
+                            return inTransaction(models[inputTypeName], context, async transaction => {
+                                const newObject = await createNested(models[inputTypeName], values, { context, transaction })
+
+                                // SubScription
+                                notify(models[inputTypeName], 'ADDED', newObject, transaction)
+
+                                return newObject
+                            })
                         }
                     },
-                    [`update${upperFirst.singular}`]: {
+                    [`update${upperFirst.singular}`]: updateInput && {
                         type: outputTypes[inputTypeName],
                         description: 'Update a ' + inputTypeName,
-                        args: {
-                            [inputTypeName]: { type: inputType }
-                        },
-                        resolve: (source, args, context, info) => {
+                        args: Object.assign(getKeyArgs(models[inputTypeName]), {
+                            [inputTypeName]: { type: new GraphQLNonNull(updateInput) }
+                        }),
+                        resolve: async (source, args, context, info) => {
+                            const restriction = await authorize(models[inputTypeName], 'update', context, { args, values: args[inputTypeName] })
+                            // The row is read back as the queries read it, checked before the write
+                            const readRestriction = await authorize(models[inputTypeName], 'read', context, { args })
+                            await authorizeValues(models[inputTypeName], 'update', context, args[inputTypeName])
+                            await validateInput(models[inputTypeName], args[inputTypeName], false)
+
                             let ormOptions = {
-                                where: { [key]: args[inputTypeName][key] },
-                                include: includeArrayModels
+                                where: _.pick(args, keyAttributes)
                             }
 
                             if (!ormOptions[EXPECTED_OPTIONS_KEY]) {
                                 ormOptions[EXPECTED_OPTIONS_KEY] = context['dataloaderContext'] || context
                             }
 
-                            // [INFO] Si se manda detalles actualizar los detalles tambien (includes)
-                            return models[inputTypeName].findOne(ormOptions).then(object2Update => {
-                                let promises = []
-                                includeArrayModels.forEach(m => {
-                                    let model = m.model
-                                    if (model.options && model.options.name && model.options.name.plural) {
-                                        if (model.options.name.plural in args[inputTypeName]) {
-                                            promises.push(helper.upsertArray(models, model.options.name.plural, args[inputTypeName][model.options.name.plural], object2Update, `${inputTypeName}_id`, args[inputTypeName][key], m.include))
-                                        }
-                                    }
-                                })
-
-                                // Actualizar datos
-                                promises.push(object2Update.update(args[inputTypeName]))
-
-                                return Promise.all(promises).then(ups => {
-                                    // SubScription
-                                    if (options.subscriptions) myPubSub.publish(`${toUpperWithLodashes.singular}_UPDATED`, { [`${lowerFirst.singular}Updated`]: object2Update.dataValues })
-
-                                    // `boolean` equals the number of rows affected (0 or 1)
-                                    return resolver(models[inputTypeName])(
-                                        source,
-                                        ormOptions.where,
-                                        context,
-                                        info
-                                    )
-                                })
-                            })
+                            // The nested operations of the associations are written along with the row
+                            return inTransaction(models[inputTypeName], context, transaction => models[inputTypeName].findOne(Object.assign({}, ormOptions, { where: mergeWhere(ormOptions.where, restriction), transaction })).then(async object2Update => {
+                                // Missing or out of the rows the user can update
+                                if (!object2Update) return null
+
+                                await updateNested(models[inputTypeName], object2Update, args[inputTypeName], { context, transaction })
+
+                                // SubScription
+                                notify(models[inputTypeName], 'UPDATED', object2Update, transaction)
+
+                                return resolver(models[inputTypeName], {
+                                    before: (findOptions, args, context) => joinTransaction(Object.assign(findOptions, { where: mergeWhere(findOptions.where, readRestriction) }), context)
+                                })(
+                                    source,
+                                    ormOptions.where,
+                                    context,
+                                    info
+                                )
+                            }))
                         }
                     },
                     [`delete${upperFirst.singular}`]: {
                         type: GraphQLInt,
                         description: 'Delete a ' + inputTypeName,
+                        args: Object.assign(getKeyArgs(models[inputTypeName]), forceArgs),
+                        resolve: async (value, args, context) => {
+                            const { force, ...where } = args
+                            const restriction = await authorize(models[inputTypeName], 'delete', context, { args })
+
+                            return inTransaction(models[inputTypeName], context, async transaction => {
+                                // The subscribers filter the events on the values of the deleted row
+                                const object2Delete = publishes && await models[inputTypeName].findOne({ where: mergeWhere(where, restriction), paranoid: !force, transaction })
+                                const deletedRows = await models[inputTypeName].destroy({ where: mergeWhere(where, restriction), force, transaction }) // Returns the number of rows affected (0 or 1)
+
+                                // SubScription
+                                if (deletedRows > 0 && object2Delete) notify(models[inputTypeName], 'DELETED', object2Delete, transaction)
+
+                                return deletedRows
+                            })
+                        }
+                    },
+                    [`addMany${upperFirst.singular}`]: createInput && {
+                        type: new GraphQLList(outputTypes[inputTypeName]),
+                        description: 'Create many ' + inputTypeName + ' in a single insert',
+                        args: {
+                            input: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(createInput))) }
+                        },
+                        resolve: async (source, args, context) => {
+                            await authorize(models[inputTypeName], 'create', context, { args, values: args['input'] })
+                            for (const values of args['input']) await authorizeValues(models[inputTypeName], 'create', context, values)
+                            await validateInput(models[inputTypeName], args['input'])
+
+                            return inTransaction(models[inputTypeName], context, async transaction => {
+                                // A single insert unless some rows have nested operations
+                                let newObjects = []
+                                if (args['input'].some(values => hasNestedValues(models[inputTypeName], values))) {
+                                    for (const values of args['input']) newObjects.push(await createNested(models[inputTypeName], values, { context, transaction }))
+                                } else {
+                                    newObjects = await models[inputTypeName].bulkCreate(args['input'], { validate: true, transaction })
+                                }
+
+                                // SubScription
+                                newObjects.forEach(newObject => notify(models[inputTypeName], 'ADDED', newObject, transaction))
+
+                                return newObjects
+                            })
+                        }
+                    }
+                }, field => !field), `model ${inputTypeName}`)
+
+                // Bulk update and delete select their rows with the typed filter
+                if (filterTypes && filterTypes[inputTypeName]) assignFields(toReturn, _.omitBy({
+                    [`updateMany${upperFirst.singular}`]: updateInput && {
+                        type: new GraphQLList(outputTypes[inputTypeName]),
+                        description: 'Update every ' + inputTypeName + ' matching the filter, returns the updated rows',
                         args: {
-                            [key]: { type: new GraphQLNonNull(GraphQLInt) }
+                            where: { type: new GraphQLNonNull(filterTypes[inputTypeName]) },
+                            set: { type: new GraphQLNonNull(updateInput) }
                         },
-                        resolve: async (value, where) => {
-                            const deletedRows = await models[inputTypeName].destroy({ where }) // Returns the number of rows affected (0 or 1)
+                        resolve: async (source, args, context) => {
+                            const model = models[inputTypeName]
+                            const values = _.pick(args['set'], Object.keys(model.rawAttributes))
+
+                            const restriction = await authorize(model, 'update', context, { args, values })
+                            const readRestriction = await authorize(model, 'read', context, { args })
+                            await authorizeValues(model, 'update', context, values)
+                            await validateInput(model, values, false)
+
+                            return inTransaction(model, context, async transaction => {
+                                const where = mergeWhere(await compileFilter(model, args['where'], context), restriction)
+                                const keys = (await model.findAll({ attributes: keyAttributes, where, transaction })).map(row => getKey(model, row))
+
+                                if (!keys.length) return []
+
+                                await model.update(values, { where: keyWhere(model, keys), transaction })
+                                const updatedObjects = await model.findAll({ where: keyWhere(model, keys), transaction })
+
+                                // SubScription
+                                updatedObjects.forEach(updatedObject => notify(model, 'UPDATED', updatedObject, transaction))
+
+                                // Only the rows the user can read are returned
+                                return readRestriction ? model.findAll({ where: mergeWhere(keyWhere(model, keys), readRestriction), transaction }) : updatedObjects
+                            })
+                        }
+                    },
+                    [`deleteMany${upperFirst.singular}`]: {
+                        type: GraphQLInt,
+                        description: 'Delete every ' + inputTypeName + ' matching the filter, returns the number of deleted rows',
+                        args: Object.assign({
+                            where: { type: new GraphQLNonNull(filterTypes[inputTypeName]) }
+                        }, forceArgs),
+                        resolve: async (source, args, context) => {
+                            const model = models[inputTypeName]
+                            const restriction = await authorize(model, 'delete', context, { args })
+
+                            return inTransaction(model, context, async transaction => {
+                                const where = mergeWhere(await compileFilter(model, args['where'], context), restriction)
+                                // The subscribers filter the events on the values of the deleted rows
+                                const objects2Delete = await model.findAll({ attributes: publishes ? undefined : keyAttributes, where, transaction })
+                                const keys = objects2Delete.map(row => getKey(model, row))
+
+                                if (!keys.length) return 0
+
+                                const deletedRows = await model.destroy({ where: keyWhere(model, keys), force: args['force'], transaction })
+
+                                // SubScription
+                                objects2Delete.forEach(deletedObject => notify(model, 'DELETED', deletedObject, transaction))
+
+                                return deletedRows
+                            })
+                        }
+                    }
+                }, field => !field), `model ${inputTypeName}`)
 
-                            // SubScription
-                            if (deletedRows > 0 && options.subscriptions) myPubSub.publish(`${toUpperWithLodashes.singular}_DELETED`, { [`${lowerFirst.singular}Deleted`]: where[key] })
+                if (isParanoid(models[inputTypeName])) assignFields(toReturn, {
+                    [`restore${upperFirst.singular}`]: {
+                        type: outputTypes[inputTypeName],
+                        description: 'Restore a soft deleted ' + inputTypeName,
+                        args: getKeyArgs(models[inputTypeName]),
+                        resolve: async (source, args, context) => {
+                            const model = models[inputTypeName]
+                            const restriction = await authorize(model, 'restore', context, { args })
+                            const readRestriction = await authorize(model, 'read', context, { args })
+
+                            return inTransaction(model, context, async transaction => {
+                                const where = mergeWhere(args, restriction)
+                                const object2Restore = await model.findOne({ where, paranoid: false, transaction })
+
+                                // Missing or out of the rows the user can restore
+                                if (!object2Restore) return null
+
+                                if (object2Restore.isSoftDeleted()) {
+                                    await object2Restore.restore({ transaction })
 
-                            return deletedRows
+                                    // SubScription, the row is back
+                                    notify(model, 'ADDED', object2Restore, transaction)
+                                }
+
+                                // Returned when the user can read it
+                                return readRestriction ? model.findOne({ where: mergeWhere(args, readRestriction), transaction }) : object2Restore
+                            })
                         }
                     }
-                }, customs)
+                }, `model ${inputTypeName}`)
 
-                return toReturn
+                // Custom mutations win over the generated ones, the collisions are reported
+                return assignFields(toReturn, customs, `${inputTypeName}.options.resolvers.mutation`)
             },
             {}
-        )
+        ), fileCustoms, field => fileOrigins[field])
     })
 }
 
-const generateSubscriptionRootType = (inputTypes, outputTypes, options = {}) => {
-    const myPubSub = options['pubSub'] || pubSub
-    
+/**
+ * Returns a root `GraphQLObjectType` used as subscription for `GraphQLSchema`.
+ *
+ * The `<model>Added`, `<model>Updated` and `<model>Deleted` fields accept the primary key
+ * attributes and a `filter`. They are checked for every event along with the read policy,
+ * a subscriber only gets the events it asked for and can read.
+ * @param {*} models The sequelize models
+ * @param {*} modelTypes The types generated from the models
+ */
+const generateSubscriptionRootType = (models, modelTypes, options = {}) => {
+    const { inputTypes, outputTypes } = modelTypes
+    const myPubSub = getPubSub(options)
+    // The core closes the iterators of a schema when it is replaced or stopped
+    const subscribeTo = trigger => () => options.trackIterator ? options.trackIterator(myPubSub.asyncIterator([trigger])) : myPubSub.asyncIterator([trigger])
+    const assignFields = createFieldAssigner('Subscription', options.onCollision)
+
     return new GraphQLObjectType({
         name: 'Subscription',
         fields: Object.keys(inputTypes).reduce((fields, inputTypeName) => {
-            return Object.assign(fields, {
-                [`${_.camelCase(inputTypeName)}Added`.replace(/ /g, '')]: {
+            const model = models[inputTypeName]
+            const addedField = `${_.camelCase(inputTypeName)}Added`.replace(/ /g, '')
+            const updatedField = `${_.camelCase(inputTypeName)}Updated`.replace(/ /g, '')
+            const deletedField = `${_.camelCase(inputTypeName)}Deleted`.replace(/ /g, '')
+
+            const args = Object.assign(
+                _.mapValues(getKeyArgs(model), arg => ({ type: getNullableType(arg.type) })),
+                getFilterArgs(modelTypes, inputTypeName)
+            )
+
+            // Every subscriber only gets the events matching its arguments, of the rows its read policy allows
+            const deliver = field => async (payload, args, context) => {
+                const values = getEventValues(model, payload, field)
+                const key = getKey(model, values)
+
+                const keyMatches = model.primaryKeyAttributes.every(attribute => args[attribute] === undefined || args[attribute] === null || String(args[attribute]) === String(values[attribute]))
+                if (!keyMatches) return false
+
+                if (args['filter']) {
+                    const filterMatches = hasAssociationFilter(model, args['filter'])
+                        ? await model.count({ where: mergeWhere(keyWhere(model, [key]), await compileFilter(model, args['filter'], context)), paranoid: false }) > 0
+                        : matchFilter(model, args['filter'], values)
+                    if (!filterMatches) return false
+                }
+
+                return canRead(model, context, key)
+            }
+            // The filter is compiled once when subscribing, it throws on the attributes that can't be queried
+            // and the associations the subscriber can't read
+            const subscribe = (trigger, field) => {
+                const filtered = withFilter(subscribeTo(trigger), deliver(field))
+
+                return async (root, args, context, info) => {
+                    await compileFilter(model, args['filter'], context)
+                    return filtered(root, args, context, info)
+                }
+            }
+
+            return assignFields(fields, {
+                [addedField]: {
                     type: outputTypes[inputTypeName],
                     description: `${_.startCase(_.camelCase(inputTypeName))} subscription for added event`,
-                    // resolve: (payload) => payload,
-                    subscribe: (_root, _args) => myPubSub.asyncIterator([`${_.toUpper(inputTypeName)}_ADDED`])
+                    args,
+                    resolve: payload => getEventRow(model, payload, addedField),
+                    subscribe: subscribe(`${_.toUpper(inputTypeName)}_ADDED`, addedField)
                 },
-                [`${_.camelCase(inputTypeName)}Updated`.replace(/ /g, '')]: {
+                [updatedField]: {
                     type: outputTypes[inputTypeName],
                     description: `${_.startCase(_.camelCase(inputTypeName))} subscription for updated event`,
-                    subscribe: (_root, _args) => myPubSub.asyncIterator([`${_.toUpper(inputTypeName)}_UPDATED`])
+                    args,
+                    resolve: payload => getEventRow(model, payload, updatedField),
+                    subscribe: subscribe(`${_.toUpper(inputTypeName)}_UPDATED`, updatedField)
                 },
-                [`${_.camelCase(inputTypeName)}Deleted`.replace(/ /g, '')]: {
-                    type: GraphQLInt,
+                [deletedField]: {
+                    type: getKeyType(model),
                     description: `${_.startCase(_.camelCase(inputTypeName))} subscription for deleted event`,
-                    subscribe: (_root, _args) => myPubSub.asyncIterator([`${_.toUpper(inputTypeName)}_DELETED`])
+                    args,
+                    subscribe: subscribe(`${_.toUpper(inputTypeName)}_DELETED`, deletedField)
                 }
-            })
+            }, `model ${inputTypeName}`)
         }, {})
     })
 }
 
-const getDeepAssociations = (modelName, models) => {
-    const associations = models[modelName].associations,
-        includeArrayModels = []
-
-    for (let associationName in associations) {
-        const relation = associations[associationName]
-
-        if (relation.associationType === 'HasMany') {
-            includeArrayModels.push({ model: models[relation.target.name], include: getDeepAssociations(relation.target.name, models) })
-        }
-    }
-
-    return includeArrayModels
-}
-
 // This function is exported
 const generateSchema = (models, types, options = {}) => {
-    const modelTypes = types || generateModelTypes(models)
+    const modelTypes = types || generateModelTypes(models, options)
+
+    if (!modelTypes.filterTypes) modelTypes.filterTypes = {}
+    if (!modelTypes.orderTypes) modelTypes.orderTypes = {}
+    if (!modelTypes.aggregateTypes) modelTypes.aggregateTypes = {}
 
-    const queries = generateQueryRootType(models, modelTypes.outputTypes, options)
-    const mutations = generateMutationRootType(models, modelTypes.inputTypes, modelTypes.outputTypes, options)
+    const queries = generateQueryRootType(models, modelTypes, options)
+    const mutations = generateMutationRootType(models, modelTypes, options)
 
     let schema = {
         query: queries,
         mutation: mutations
     }
 
-    if (options.subscriptions) schema['subscription'] = generateSubscriptionRootType(modelTypes.inputTypes, modelTypes.outputTypes, options)
+    if (options.subscriptions) schema['subscription'] = generateSubscriptionRootType(models, modelTypes, options)
+    if (options.subscriptions && options.subscriptionHooks) registerPublishHooks(models, getPubSub(options), options.onPublishError)
+    registerCoherenceHooks(models)
+    registerSharedCacheHooks(models, options)
 
     return schema
 }
@@ -1,3 +1,5 @@
+const fs = require('fs')
+const { resolve, join, dirname, isAbsolute } = require('path')
 const _ = require('lodash')
 var pluralize = require('pluralize')
 
@@ -31,6 +33,11 @@ module.exports = {
             return SEQUELIZE
         }
     },
+    /**
+     * Updates the row of `models[modelName]` matching `data` on `idField` (a name or a list of names),
+     * creates it when there is none
+     * @deprecated The nested writes of the generated mutations (`upsert` of an association) replace it
+     */
     upsert: (models, modelName, data, idField) => {
         var where = {}
         if (typeof idField === 'string') {
@@ -53,6 +60,11 @@ module.exports = {
             }
         })
     },
+    /**
+     * Syncs the rows of the list `array_name` of `object_data` with `array_data`: updates the matching
+     * ids, destroys the missing ones and creates the new ones under `father_id`. Returns the promises
+     * @deprecated The nested writes of the generated mutations (`set`, `update`, `create` of a list) replace it
+     */
     upsertArray: (models, array_name, array_data, object_data, father_id, id, modelInclude = []) => {
         var promises = []
         if (Array.isArray(array_data)) {
@@ -101,6 +113,21 @@ module.exports = {
 
         return promises
     },
+    /**
+     * Tells whether the entry `modelName` of the models object is one of the models, not `Sequelize`,
+     * `sequelize` or `Op`, which sit along them
+     */
+    isModel: (models, modelName) => {
+        const model = models[modelName]
+
+        return !!model && model.hasOwnProperty('name') && !['Sequelize', 'sequelize', 'Op'].includes(modelName) && typeof model.addHook === 'function'
+    },
+    mergeWhere: (...wheres) => {
+        wheres = wheres.filter(where => where && (Object.keys(where).length || Object.getOwnPropertySymbols(where).length))
+
+        if (wheres.length <= 1) return wheres[0]
+        return { [Sequelize.Op.and]: wheres }
+    },
     strip_html_tags: (str) => {
         if ((str === null) || (str === ''))
             return false
@@ -108,6 +135,16 @@ module.exports = {
             str = str.toString()
         return str.replace(/<[^>]*>/g, '')
     },
+    /**
+     * Returns the folder holding a folder of `customsDirPath` (`query`, `mutation`, `types`): an
+     * absolute path (the command line resolves it) is used as is, a relative one is read from the folder
+     * of the main script, or from the root of the app
+     */
+    getCustomsPath: (customsDirPath, folder) => {
+        const customsPath = isAbsolute(customsDirPath) ? customsDirPath : join(dirname(require.main.filename), customsDirPath)
+
+        return fs.existsSync(join(customsPath, folder)) ? customsPath : join('/' + resolve(__dirname).split('/').slice(1, 6).join('/'), customsDirPath)
+    },
     cleanExtraSpacing: (string) => (string || "").trim().replace(/\s+/g, " "),
     randomNumber: (low, high) => Math.floor(Math.random() * (high - low) + low),
     getOperatorByString: (str) => {
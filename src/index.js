@@ -1,123 +1,87 @@
-const { GraphQLSchema } = require('graphql')
-const { ApolloServer } = require('apollo-server-express')
-const compression = require('compression')
-
-const { createContext } = require('./dataloader')
-const { generateSchema } = require('./generator')
-
-const defaultOptions = {
-    modelDirPath: null,
-    customsDirPath: null,
-    graphqlEndpint: '/graphql',
-    subscriptions: false,
-    pubsub: null,
-    httpServer: null,
-    dataloader: true,
-    dataloaderOptions: { max: 500, cache: true, batch: true },
-    context: {},
-    tracing: false
-}
+const { defaultOptions, createCore, getApolloConfig } = require('./core')
+const { express } = require('./adapters/express')
+const { koa } = require('./adapters/koa')
+const { fastify } = require('./adapters/fastify')
+const { http } = require('./adapters/http')
+const { authorize } = require('./policy')
+const { OutboxPubSub } = require('./pubsub')
+const { diff } = require('./diff')
+const { loader } = require('./extensions')
 
 /**
- * Library's constructor magic-graphql
+ * Library's constructor magic-graphql, the Express adapter
  * @param {*} app app express object is required
  * @param {*} options Options object, read library documentation for more information
- * 
+ *
  * @returns {ApolloServer} Returns object of ApolloServer
  */
 const Module = module.exports = (app, options = defaultOptions) => {
-    options = Object.assign({}, defaultOptions, options)
-
     if (!app) throw new Error("app is required")
-    if (!options.modelDirPath || (typeof options.modelDirPath !== 'string' && typeof options.modelDirPath !== 'object')) throw new Error("options.modelDirPath has an incorrect value, this option is required")
-    if (options.dataloader && !options.dataloaderOptions) throw new Error("dataloaderOptions can't be null")
     if (options.subscriptions && !options.httpServer) throw new Error("httpServer is required for subscriptions")
-    if (options.customsDirPath && typeof options.customsDirPath !== 'string') throw new Error("options.customsDirPath has an incorrect value")
-
-    let models = null
-    if (typeof options.modelDirPath === 'string') models = require(options.modelDirPath)
-    else models = options.modelDirPath
-
-    let schemas = generateSchema(models, null, options)
-
-    if (options.dataloader) {
-        if (options.context && typeof options.context === 'object') {
-            options.context = Object.assign({}, options.context, {
-                dataloaderContext: createContext(models.sequelize, options.dataloaderOptions),
-                models
-            })
-        } else if (options.context && typeof options.context === 'function') {
-            options.context = (integrationContext) => {
-                const optionsContext = options.context(integrationContext)
-                return Object.assign({}, optionsContext, {
-                    dataloaderContext: createContext(models.sequelize, options.dataloaderOptions),
-                    models
-                })
-            }
-        }
-    }
-
-    let context = null
-    if (options.contextWrapper && typeof options.contextWrapper === 'function') {
-        context = options.contextWrapper(options.context)
-    }
-    else { context = options.context }
-
-    const graphqlServer = new ApolloServer({
-        schema: new GraphQLSchema(schemas),
-        context,
-        tracing: options.tracing || false
-    })
-
-    app.use(compression({ level: 1 }))
-    graphqlServer.applyMiddleware({ app, path: options.graphqlEndpint, compression: compression() })
-    if (options.subscriptions) graphqlServer.installSubscriptionHandlers(options.httpServer)
-
-    return graphqlServer
+
+    return express(app, createCore(options))
+}
+
+/**
+ * Returns the config of an Apollo server (`schema`, `context`, `formatError`, `plugins`, `tracing`),
+ * for the integrations of Apollo Server without an adapter (micro, lambda...)
+ */
+Module.micro = (options = defaultOptions) => getApolloConfig(createCore(options))
+
+/**
+ * Returns the framework-agnostic core: `schema`, the `context` factory, `formatError`, `plugins`
+ * and the `lifecycle` (`stop()`), see the adapters
+ */
+Module.core = (options = defaultOptions) => createCore(options)
+
+/**
+ * Koa adapter, adds the GraphQL middleware to the app and returns the core
+ */
+Module.koa = (app, options = defaultOptions) => {
+    if (!app) throw new Error("app is required")
+
+    return koa(app, createCore(options))
+}
+
+/**
+ * Fastify adapter, adds the GraphQL route to the app and returns the core
+ */
+Module.fastify = (app, options = defaultOptions) => {
+    if (!app) throw new Error("app is required")
+
+    return fastify(app, createCore(options))
 }
 
-Module.micro = (options = defaultOptions) => {
+/**
+ * Plain Node adapter, returns the core along with the `handler` of `http.createServer(handler)`
+ */
+Module.http = (options = defaultOptions) => http(createCore(options))
+
+/**
+ * Checks the policy of a model from a custom resolver, see `options.policies`
+ */
+Module.authorize = authorize
+
+/**
+ * Returns a DataLoader of the request for the resolvers of the type extensions, see `options.resolvers.fields`
+ */
+Module.loader = loader
+
+/**
+ * PubSub engine sharing the subscription events of several processes through the database, see `options.pubsub`
+ */
+Module.OutboxPubSub = OutboxPubSub
+
+/**
+ * Compares the schema generated from `options.modelDirPath` with a baseline SDL, see the `diff` command.
+ * Returns `{ breaking, dangerous, safe, collisions }`, each change has a `type` and a `description`
+ */
+Module.diff = (baseline, options = defaultOptions) => {
     options = Object.assign({}, defaultOptions, options)
 
     if (!options.modelDirPath || (typeof options.modelDirPath !== 'string' && typeof options.modelDirPath !== 'object')) throw new Error("options.modelDirPath has an incorrect value, this option is required")
-    if (options.dataloader && !options.dataloaderOptions) throw new Error("dataloaderOptions can't be null")
-    if (options.customsDirPath && typeof options.customsDirPath !== 'string') throw new Error("options.customsDirPath has an incorrect value")
-
-    let models = null
-    if (typeof options.modelDirPath === 'string') models = require(options.modelDirPath)
-    else models = options.modelDirPath
-
-    let schemas = generateSchema(models, null, options)
-
-    if (options.dataloader) {
-        if (options.context && typeof options.context === 'object') {
-            options.context = Object.assign({}, options.context, {
-                dataloaderContext: createContext(models.sequelize, options.dataloaderOptions),
-                models
-            })
-        } else if (options.context && typeof options.context === 'function') {
-            const userContext = options.context
-            delete options.context
-            options.context = (integrationContext) => {
-                const optionsContext = userContext(integrationContext)
-                return Object.assign({}, optionsContext, {
-                    dataloaderContext: createContext(models.sequelize, options.dataloaderOptions),
-                    models
-                })
-            }
-        }
-    }
-
-    let context = null
-    if (options.contextWrapper && typeof options.contextWrapper === 'function') {
-        context = options.contextWrapper(options.context)
-    }
-    else { context = options.context }
-
-    return ({
-        schema: new GraphQLSchema(schemas),
-        context,
-        tracing: options.tracing || false
-    })
 
+    const models = typeof options.modelDirPath === 'string' ? require(options.modelDirPath) : options.modelDirPath
+
+    return diff(baseline, models, options)
 }
\ No newline at end of file
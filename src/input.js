@@ -0,0 +1,112 @@
+const { GraphQLInputObjectType, GraphQLNonNull, getNullableType } = require('graphql')
+const Sequelize = require('sequelize')
+
+const { getNestedInputType } = require('./nested')
+const { isAttributeHidden } = require('./policy')
+const { getProperTypeName } = require('./helper')
+
+/**
+ * Returns the read only attributes of a model, `readOnly` of the model options: they are left out
+ * of the create and update inputs
+ */
+const getReadOnlyAttributes = model => [].concat(model.options.readOnly || [])
+
+/**
+ * Returns `true` for the attributes sequelize or the database write: autoIncrement keys, timestamps
+ * and the version
+ */
+const isGenerated = (model, attribute) => model.rawAttributes[attribute].autoIncrement === true ||
+    Object.values(model._timestampAttributes || {}).includes(attribute) ||
+    model._versionAttribute === attribute
+
+/**
+ * Returns `true` for the foreign keys of the associations of a model and of the associations
+ * pointing to it, the nested writes set them
+ */
+const isForeignKey = (model, attribute) => Object.values(model.associations).some(association => association.associationType === 'BelongsTo' && association.foreignKey === attribute) ||
+    Object.values(model.sequelize.models).some(source => Object.values(source.associations).some(association =>
+        association.target === model && ['HasOne', 'HasMany'].includes(association.associationType) && association.foreignKey === attribute
+    ))
+
+/**
+ * Returns the attributes of the create or update input of a model: the ones the policies don't hide
+ * for the action, but the read only, generated and contrasena ones, the virtual ones without setter and,
+ * for updates, the primary key (it is passed on its own)
+ */
+const getInputAttributes = (model, action, attributeTypes) => Object.keys(attributeTypes).filter(attribute => {
+    const rawAttribute = model.rawAttributes[attribute]
+
+    return rawAttribute &&
+        !isAttributeHidden(model, attribute, action) &&
+        !getReadOnlyAttributes(model).includes(attribute) &&
+        !isGenerated(model, attribute) &&
+        !(rawAttribute.type instanceof Sequelize.VIRTUAL && !rawAttribute.set) &&
+        !(action === 'update' && rawAttribute.primaryKey)
+})
+
+/**
+ * Returns `true` for the attributes that are not null and have no default
+ */
+const isNotNull = (model, attribute) => model.rawAttributes[attribute].allowNull === false &&
+    model.rawAttributes[attribute].defaultValue === undefined
+
+/**
+ * Returns `true` when a create has to send the attribute: not null, without default, and not a
+ * foreign key a nested write can set. The mutations check that such a key is sent or set, see `validateInput`
+ */
+const isRequired = (model, attribute) => isNotNull(model, attribute) && !isForeignKey(model, attribute)
+
+/**
+ * Returns the description of a field of the create input, the not null foreign keys of a BelongsTo
+ * tell the association that can set them instead
+ */
+const getCreateDescription = (model, attribute, description) => {
+    const association = isNotNull(model, attribute) && Object.values(model.associations).find(association => association.associationType === 'BelongsTo' && association.foreignKey === attribute)
+
+    return association ? [description, `Required unless \`${association.as}\` links a row.`].filter(Boolean).join(' ') : description
+}
+
+/**
+ * Returns the `<Model>CreateInput` and `<Model>UpdateInput` types of a model, `{ createInput, updateInput }`.
+ * The create input makes the required attributes non null and leaves out the generated ones, every
+ * field of the update input is optional and the primary key is an argument of the mutation. Both
+ * take the nested writes of the associations. An input without any field is `null`.
+ * @param {*} model The sequelize model
+ * @param {*} modelTypes Every type generated from the models, the nested input types use `createInputTypes` and `updateInputTypes`
+ * @param {*} attributeTypes The fields of the attributes, see `attributeFields`
+ */
+const generateInputTypes = (model, modelTypes, attributeTypes) => {
+    const { upperFirst: { singular: typeName } } = getProperTypeName(model)
+    const associationNames = Object.keys(model.associations)
+
+    const generate = action => {
+        const attributes = getInputAttributes(model, action, attributeTypes)
+        if (!attributes.length && !associationNames.length) return null
+
+        return new GraphQLInputObjectType({
+            name: `${typeName}${action === 'create' ? 'Create' : 'Update'}Input`,
+            fields: () => Object.assign(
+                attributes.reduce((fields, attribute) => {
+                    const type = getNullableType(attributeTypes[attribute].type)
+
+                    return Object.assign(fields, {
+                        [attribute]: {
+                            type: action === 'create' && isRequired(model, attribute) ? new GraphQLNonNull(type) : type,
+                            description: action === 'create' ? getCreateDescription(model, attribute, attributeTypes[attribute].description) : attributeTypes[attribute].description
+                        }
+                    })
+                }, {}),
+                associationNames.reduce((fields, associationName) => Object.assign(fields, {
+                    [associationName]: { type: getNestedInputType(model.associations[associationName], modelTypes) }
+                }), {})
+            ),
+            description: `Values of a ${action === 'create' ? 'new row' : 'row to update'} of the model ${model.name}`
+        })
+    }
+
+    return { createInput: generate('create'), updateInput: generate('update') }
+}
+
+module.exports = {
+    generateInputTypes
+}
\ No newline at end of file
@@ -0,0 +1,227 @@
+const { AsyncLocalStorage } = require('async_hooks')
+const DataLoader = require('dataloader')
+const Bluebird = require('bluebird')
+const { GraphQLObjectType, responsePathAsArray, defaultFieldResolver } = require('graphql')
+const { ApolloError } = require('apollo-server-errors')
+
+// The instrumentation of the request and the path of the running resolver, `association` and
+// `batched` tell where the queries come from
+const storage = new AsyncLocalStorage()
+// Name of the sequelize hook counting the queries
+const HOOK_NAME = 'magicGraphqlInstrumentation'
+// The sequelize instances whose queries are counted
+const hooked = new WeakSet()
+let hookedCount = 0
+// Marks the resolvers running with the instrumentation of their request
+const INSTRUMENTED = Symbol('magicGraphqlInstrumented')
+// Option of the count queries holding their model
+const MODEL_OPTION = 'instrumentedModel'
+
+/**
+ * Returns the instrumentation mode of the options: `options.instrumentation`, `true` when
+ * `NODE_ENV` is `development` by default. `'warn'` and `'strict'` also report the unbatched queries
+ * @param {*} options The library options
+ */
+const getInstrumentationMode = options => options.instrumentation === null || options.instrumentation === undefined
+    ? process.env.NODE_ENV === 'development'
+    : options.instrumentation
+
+/**
+ * Returns the instrumentation of a request, held by its dataloader context (see `createContext`)
+ * @param {*} mode `true`, `'warn'` or `'strict'`
+ */
+const createInstrumentation = mode => ({
+    mode,
+    queries: 0,
+    models: {},
+    associations: {},
+    batches: [],
+    cacheHits: 0,
+    // Unbatched SELECT queries by resolver path, the list indexes left out
+    unbatched: {}
+})
+
+const count = (counts, name) => { counts[name] = (counts[name] || 0) + 1 }
+
+/**
+ * Calls `update` with the instrumentation of the running request, if any
+ */
+const record = update => {
+    const store = storage.getStore()
+    if (store && store.instrumentation) update(store.instrumentation)
+}
+
+/**
+ * Runs `run` with `values` added to the store of the request, the queries it issues are counted with them
+ * @param {*} values `association` (`<model>.<as>`) or `batched`
+ * @param {Function} run The work
+ */
+const track = (values, run) => {
+    const store = storage.getStore()
+
+    return store ? storage.run(Object.assign({}, store, values), run) : run()
+}
+
+/**
+ * Returns a DataLoader recording its batch sizes and cache hits in the instrumentation of the
+ * request loading the keys. The loaders of the dataloader context and of `loader` are created with it
+ * @param {Function} batch The batch function
+ * @param {*} loaderOptions DataLoader options
+ */
+const createLoader = (batch, loaderOptions = {}) => {
+    const cache = new Map()
+    const cacheMap = {
+        get: key => {
+            const value = cache.get(key)
+            if (value !== undefined) record(instrumentation => instrumentation.cacheHits++)
+            return value
+        },
+        set: (key, value) => cache.set(key, value),
+        delete: key => cache.delete(key),
+        clear: () => cache.clear()
+    }
+
+    return new DataLoader(keys => track({ batched: true }, () => {
+        record(instrumentation => instrumentation.batches.push(keys.length))
+        return batch(keys)
+    }), loaderOptions.cache === false || loaderOptions.cacheMap ? loaderOptions : Object.assign({ cacheMap }, loaderOptions))
+}
+
+/**
+ * Records an unbatched SELECT query of a resolver. A resolver path querying for several rows of a
+ * list is a N+1: `'warn'` warns and `'strict'` fails the queries with a `UNBATCHED_QUERIES` error
+ */
+const recordUnbatched = (instrumentation, path, model) => {
+    const rowPath = responsePathAsArray(path)
+    const fieldPath = rowPath.filter(key => typeof key === 'string').join('.')
+    const unbatched = instrumentation.unbatched[fieldPath] = instrumentation.unbatched[fieldPath] || { path: fieldPath, model: model ? model.name : null, queries: 0, rows: new Set() }
+
+    unbatched.queries++
+    unbatched.rows.add(rowPath.join('.'))
+    if (unbatched.rows.size < 2) return
+
+    const message = `${fieldPath} queries ${unbatched.model || 'the database'} for each row of the list, its queries are not batched`
+    if (instrumentation.mode === 'strict') throw new ApolloError(message, 'UNBATCHED_QUERIES', { path: fieldPath, model: unbatched.model })
+    if (instrumentation.mode === 'warn' && unbatched.rows.size === 2) console.warn(`magic-graphql: ${message}`)
+}
+
+/**
+ * The `beforeQuery` hook: counts the query in the instrumentation of the request, by model and association
+ */
+const recordQuery = options => {
+    const store = storage.getStore()
+    if (!store || !store.instrumentation) return
+
+    const { instrumentation, association, batched, path } = store
+    const model = options.model || options[MODEL_OPTION] || (options.instance && options.instance.constructor)
+
+    instrumentation.queries++
+    if (model) count(instrumentation.models, model.name)
+    if (association) count(instrumentation.associations, association)
+    if (!batched && path && options.type === 'SELECT') recordUnbatched(instrumentation, path, model)
+}
+
+/**
+ * The `beforeCount` hook: the count queries don't tell their model to `beforeQuery`, it is added to the options
+ */
+function recordCountModel(options) {
+    options[MODEL_OPTION] = this
+}
+
+/**
+ * Counts the queries of a sequelize instance, once. The bluebird promises (graphql-sequelize, the
+ * dataloader shims) keep the async context while a sequelize is counted, so their queries are counted
+ * for their request
+ */
+const registerQueryHook = sequelize => {
+    if (hooked.has(sequelize)) return
+
+    if (!hookedCount++) Bluebird.config({ asyncHooks: true })
+    sequelize.addHook('beforeQuery', HOOK_NAME, recordQuery)
+    sequelize.addHook('beforeCount', HOOK_NAME, recordCountModel)
+    hooked.add(sequelize)
+}
+
+/**
+ * Stops counting the queries of a sequelize instance, the bluebird promises lose the async context
+ * with the last one
+ */
+const unregisterQueryHook = sequelize => {
+    if (!hooked.has(sequelize)) return
+
+    sequelize.removeHook('beforeQuery', HOOK_NAME)
+    sequelize.removeHook('beforeCount', HOOK_NAME)
+    hooked.delete(sequelize)
+    if (!--hookedCount) Bluebird.config({ asyncHooks: false })
+}
+
+/**
+ * Returns the totals of an instrumentation, the `instrumentation` extension of the response
+ */
+const report = instrumentation => ({
+    queries: instrumentation.queries,
+    models: instrumentation.models,
+    associations: instrumentation.associations,
+    dataloader: {
+        batches: instrumentation.batches,
+        cacheHits: instrumentation.cacheHits
+    },
+    unbatched: Object.values(instrumentation.unbatched)
+        .filter(unbatched => unbatched.rows.size > 1)
+        .map(({ path, model, queries, rows }) => ({ path, model, queries, rows: rows.size }))
+})
+
+const getInstrumentation = context => context && context.dataloaderContext && context.dataloaderContext.instrumentation
+
+/**
+ * Runs every resolver of a schema with the instrumentation of its request and its path, so the queries
+ * are counted by resolver path. Each call gets a store of its own, nothing is left in the async context
+ * of the caller
+ * @param {*} schema The generated `GraphQLSchema`
+ */
+const instrumentSchema = schema => {
+    Object.values(schema.getTypeMap()).forEach(type => {
+        if (!(type instanceof GraphQLObjectType) || type.name.startsWith('__')) return
+
+        Object.values(type.getFields()).forEach(field => {
+            // Types shared by several schemas are wrapped once
+            if (field.resolve && field.resolve[INSTRUMENTED]) return
+
+            const resolve = field.resolve || defaultFieldResolver
+            field.resolve = function instrumentedResolve(source, args, context, info) {
+                const instrumentation = getInstrumentation(context)
+                if (!instrumentation) return resolve.call(this, source, args, context, info)
+
+                return storage.run({ instrumentation, path: info.path }, () => resolve.call(this, source, args, context, info))
+            }
+            field.resolve[INSTRUMENTED] = true
+        })
+    })
+
+    return schema
+}
+
+/**
+ * Returns the Apollo plugin reporting the totals in the `instrumentation` extension of the response,
+ * the schema counts the queries (see `instrumentSchema`)
+ */
+const createInstrumentationPlugin = () => ({
+    requestDidStart: () => ({
+        willSendResponse: ({ context, response }) => {
+            const instrumentation = getInstrumentation(context)
+            if (instrumentation) response.extensions = Object.assign({}, response.extensions, { instrumentation: report(instrumentation) })
+        }
+    })
+})
+
+module.exports = {
+    getInstrumentationMode,
+    createInstrumentation,
+    createLoader,
+    track,
+    registerQueryHook,
+    unregisterQueryHook,
+    report,
+    instrumentSchema,
+    createInstrumentationPlugin
+}
\ No newline at end of file
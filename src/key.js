@@ -0,0 +1,87 @@
+const { GraphQLObjectType, GraphQLInputObjectType, GraphQLNonNull } = require('graphql')
+const { typeMapper } = require('graphql-sequelize')
+const { Op } = require('sequelize')
+const _ = require('lodash')
+
+const { getProperTypeName } = require('./helper')
+
+const keyTypes = new WeakMap()
+const keyInputTypes = new WeakMap()
+
+const isComposite = model => model.primaryKeyAttributes.length > 1
+
+const getAttributeType = (model, attribute) => typeMapper.toGraphQL(model.rawAttributes[attribute].type, model.sequelize.constructor)
+
+/**
+ * Returns the non null arguments selecting a row by its primary key, one for each key attribute,
+ * typed after the attribute (`Int`, `String`, `ID`...)
+ * @param {*} model The sequelize model
+ */
+const getKeyArgs = model => model.primaryKeyAttributes.reduce((args, attribute) => Object.assign(args, {
+    [attribute]: { type: new GraphQLNonNull(getAttributeType(model, attribute)) }
+}), {})
+
+/**
+ * Returns the type of a primary key value: the type of the key attribute, or a
+ * `<Model>Key` object with every attribute of a composite key
+ * @param {*} model The sequelize model
+ */
+const getKeyType = model => {
+    if (!isComposite(model)) return getAttributeType(model, model.primaryKeyAttribute)
+
+    if (!keyTypes.has(model)) {
+        keyTypes.set(model, new GraphQLObjectType({
+            name: `${getProperTypeName(model).upperFirst.singular}Key`,
+            fields: () => _.mapValues(getKeyArgs(model), arg => ({ type: arg.type })),
+            description: `Composite primary key of the model ${model.name}`
+        }))
+    }
+
+    return keyTypes.get(model)
+}
+
+/**
+ * Returns the `<Model>KeyInput` type selecting a row by its primary key, with every key attribute
+ * @param {*} model The sequelize model
+ */
+const getKeyInputType = model => {
+    if (!keyInputTypes.has(model)) {
+        keyInputTypes.set(model, new GraphQLInputObjectType({
+            name: `${getProperTypeName(model).upperFirst.singular}KeyInput`,
+            fields: () => getKeyArgs(model),
+            description: `Primary key of a row of the model ${model.name}`
+        }))
+    }
+
+    return keyInputTypes.get(model)
+}
+
+/**
+ * Returns the primary key of a row (an instance or plain values): the value of its key
+ * attribute, or an object with every attribute of a composite key
+ */
+const getKey = (model, row) => {
+    if (row === null || row === undefined || typeof row !== 'object') return row
+
+    const values = typeof row.get === 'function' ? row.get({ plain: true }) : row
+
+    return isComposite(model) ? _.pick(values, model.primaryKeyAttributes) : values[model.primaryKeyAttribute]
+}
+
+/**
+ * Returns the where clause selecting the rows of a list of primary keys (see `getKey`)
+ * @param {*} model The sequelize model
+ * @param {Array} keys Primary keys
+ */
+const keyWhere = (model, keys) => isComposite(model)
+    ? { [Op.or]: keys.map(key => _.pick(key, model.primaryKeyAttributes)) }
+    : { [model.primaryKeyAttribute]: keys }
+
+module.exports = {
+    isComposite,
+    getKeyArgs,
+    getKeyType,
+    getKeyInputType,
+    getKey,
+    keyWhere
+}
\ No newline at end of file
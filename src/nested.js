@@ -0,0 +1,396 @@
+const { GraphQLInputObjectType, GraphQLList, GraphQLNonNull, GraphQLBoolean } = require('graphql')
+const { UserInputError } = require('apollo-server-errors')
+const _ = require('lodash')
+
+const { getKeyInputType, getKey, keyWhere } = require('./key')
+const { authorize, authorizeValues } = require('./policy')
+const { getProperTypeName, mergeWhere } = require('./helper')
+
+// Order the operations of an association run in, the links are released before new ones are made
+const OPERATIONS = ['delete', 'disconnect', 'set', 'connect', 'update', 'upsert', 'create']
+
+const isList = association => ['HasMany', 'BelongsToMany'].includes(association.associationType)
+
+// Compares the primary keys of rows and of the values sent
+const keyId = (model, row) => JSON.stringify(getKey(model, row))
+const findByKey = (model, rows, values) => rows.find(row => keyId(model, row) === keyId(model, values))
+
+/**
+ * Throws a `UserInputError` for the keys without row
+ */
+const checkMissing = (model, keys, rows, message) => {
+    const found = rows.map(row => keyId(model, row))
+    const missing = keys.filter(key => !found.includes(keyId(model, key)))
+
+    if (missing.length) throw new UserInputError(`${message} ${missing.map(key => JSON.stringify(_.pick(key, model.primaryKeyAttributes))).join(', ')}`)
+}
+
+/**
+ * Returns the input type `name` of the nested types, created with `config` the first time
+ */
+const getNestedType = (nestedTypes, name, config) => {
+    if (!nestedTypes[name]) nestedTypes[name] = new GraphQLInputObjectType(Object.assign({ name }, config))
+
+    return nestedTypes[name]
+}
+
+/**
+ * Returns the input type of the nested operations of an association: `<Target>ManyNestedInput` for
+ * HasMany and BelongsToMany, `<Target>OneNestedInput` for HasOne and BelongsTo. The rows are created
+ * with `<Target>CreateInput` and updated with `<Target>UpdateInput`, the updates and upserts of a list
+ * select their row with `where`. The types are shared by the associations to the same model, in
+ * `modelTypes.nestedTypes`
+ * @param {*} association The sequelize association
+ * @param {*} modelTypes Every type generated from the models, `createInputTypes` and `updateInputTypes` included
+ */
+const getNestedInputType = (association, modelTypes) => {
+    const nestedTypes = modelTypes.nestedTypes || (modelTypes.nestedTypes = {})
+    const target = association.target
+    const list = isList(association)
+    const typeName = getProperTypeName(target).upperFirst.singular
+
+    return getNestedType(nestedTypes, `${typeName}${list ? 'Many' : 'One'}NestedInput`, {
+        description: `Nested writes of the ${list ? 'rows' : 'row'} of ${typeName} linked to a row`,
+        fields: () => {
+            const createInput = (modelTypes.createInputTypes || {})[target.name]
+            const updateInput = (modelTypes.updateInputTypes || {})[target.name]
+            const keyType = getKeyInputType(target)
+            const many = type => type && new GraphQLList(new GraphQLNonNull(type))
+            // Targets without fields to create or update (see `generateInputTypes`) have no such operations
+            const available = fields => _.pickBy(fields, field => field.type)
+
+            if (list) {
+                const updateWithKey = updateInput && getNestedType(nestedTypes, `${typeName}UpdateWithKeyInput`, {
+                    description: `A row of ${typeName} to update, selected by its primary key`,
+                    fields: () => ({ where: { type: new GraphQLNonNull(keyType) }, data: { type: new GraphQLNonNull(updateInput) } })
+                })
+                const upsertWithKey = createInput && updateInput && getNestedType(nestedTypes, `${typeName}UpsertWithKeyInput`, {
+                    description: `A row of ${typeName} to update when \`where\` selects one, to create otherwise`,
+                    fields: () => ({ where: { type: new GraphQLNonNull(keyType) }, create: { type: new GraphQLNonNull(createInput) }, update: { type: new GraphQLNonNull(updateInput) } })
+                })
+
+                return available({
+                    create: { type: many(createInput), description: 'Creates rows and links them' },
+                    connect: { type: many(keyType), description: 'Links existing rows' },
+                    disconnect: { type: many(keyType), description: 'Unlinks rows without deleting them' },
+                    set: { type: many(keyType), description: 'Links these rows and unlinks every other' },
+                    update: { type: many(updateWithKey), description: 'Updates linked rows' },
+                    delete: { type: many(keyType), description: 'Deletes linked rows' },
+                    upsert: { type: many(upsertWithKey), description: 'Updates the rows selected by `where`, creates the others, and links them' }
+                })
+            }
+
+            const upsert = createInput && updateInput && getNestedType(nestedTypes, `${typeName}UpsertInput`, {
+                description: `A row of ${typeName} to update when there is one, to create otherwise`,
+                fields: () => ({ create: { type: new GraphQLNonNull(createInput) }, update: { type: new GraphQLNonNull(updateInput) } })
+            })
+
+            return available({
+                create: { type: createInput, description: 'Creates a row and links it' },
+                connect: { type: keyType, description: 'Links an existing row' },
+                disconnect: { type: GraphQLBoolean, description: 'Unlinks the row without deleting it' },
+                update: { type: updateInput, description: 'Updates the linked row' },
+                delete: { type: GraphQLBoolean, description: 'Deletes the linked row' },
+                upsert: { type: upsert, description: 'Updates the linked row, creates and links one when there is none' }
+            })
+        }
+    })
+}
+
+/**
+ * Splits the values of a row into its attributes and the nested operations of its associations
+ */
+const splitValues = (model, values) => Object.keys(values || {}).reduce(({ attributes, nested }, key) => {
+    if (!model.associations[key]) attributes[key] = values[key]
+    else if (values[key]) nested[key] = values[key]
+
+    return { attributes, nested }
+}, { attributes: {}, nested: {} })
+
+/**
+ * Returns `true` when the values of a row hold nested operations
+ */
+const hasNestedValues = (model, values) => Object.keys(splitValues(model, values).nested).length > 0
+
+/**
+ * Reads the rows of a list of primary keys the user can act on, throws a `UserInputError` when some
+ * of them are missing (or out of the rows allowed by the rule of the action)
+ */
+const findRows = async (model, keys, action, state, where) => {
+    const restriction = await authorize(model, action, state.context, { keys })
+    const rows = await model.findAll({ where: mergeWhere(keyWhere(model, keys.map(key => getKey(model, key))), where, restriction), transaction: state.transaction })
+
+    checkMissing(model, keys, rows, `No ${model.name} found for`)
+
+    return rows
+}
+
+/**
+ * Reads the row linked by a HasOne or BelongsTo association the user can act on, or `null`
+ */
+const findLinked = async (model, where, action, state) => {
+    const restriction = await authorize(model, action, state.context, { where })
+
+    return model.findOne({ where: mergeWhere(where, restriction), transaction: state.transaction })
+}
+
+/**
+ * Creates a row along with its nested operations, `extra` are values set by the parent (its foreign key)
+ */
+const createRow = async (model, values, state, extra = {}) => {
+    await authorize(model, 'create', state.context, { values })
+    await authorizeValues(model, 'create', state.context, values)
+
+    return writeRow(model, model.build(Object.assign({}, splitValues(model, values).attributes, extra)), values, state)
+}
+
+/**
+ * Updates a row along with its nested operations
+ */
+const updateRow = async (model, row, values, state) => {
+    await authorizeValues(model, 'update', state.context, values)
+    row.set(splitValues(model, values).attributes)
+
+    return writeRow(model, row, values, state)
+}
+
+/**
+ * Saves a row and runs the nested operations of its values: the BelongsTo ones first, they set the
+ * foreign keys of the row, then the ones of the rows pointing to it (HasOne, HasMany) and of the
+ * through table (BelongsToMany)
+ */
+const writeRow = async (model, row, values, state) => {
+    const { nested } = splitValues(model, values)
+    const associations = Object.keys(nested).map(as => model.associations[as])
+    const released = []
+
+    for (const association of associations.filter(association => association.associationType === 'BelongsTo')) {
+        const target = await writeBelongsTo(association, row, nested[association.as], state)
+        if (target) released.push(target)
+    }
+
+    await row.save({ transaction: state.transaction })
+
+    // Rows unlinked by `delete` are deleted once nothing points to them
+    for (const target of released) await target.destroy({ transaction: state.transaction })
+
+    for (const association of associations) {
+        if (association.associationType === 'HasOne') await writeHasOne(association, row, nested[association.as], state)
+        else if (association.associationType === 'HasMany') await writeHasMany(association, row, nested[association.as], state)
+        else if (association.associationType === 'BelongsToMany') await writeBelongsToMany(association, row, nested[association.as], state)
+    }
+
+    return row
+}
+
+/**
+ * Runs the operations of a BelongsTo association, they set the foreign key of the row. Resolves to
+ * the target row to delete once the row is saved, if any
+ */
+const writeBelongsTo = async (association, row, ops, state) => {
+    const { target, foreignKey, targetKey } = association
+    const link = targetRow => row.set(foreignKey, targetRow ? targetRow.get(targetKey) : null)
+    const linked = () => row.get(foreignKey) === null || row.get(foreignKey) === undefined
+        ? null
+        : findLinked(target, { [targetKey]: row.get(foreignKey) }, 'update', state)
+    let released = null
+
+    for (const operation of OPERATIONS.filter(operation => ops[operation] !== undefined && ops[operation] !== null)) {
+        const value = ops[operation]
+
+        if (operation === 'delete' && value) {
+            released = row.get(foreignKey) === null || row.get(foreignKey) === undefined
+                ? null
+                : await findLinked(target, { [targetKey]: row.get(foreignKey) }, 'delete', state)
+            if (!released) throw new UserInputError(`No ${target.name} linked by ${association.as} to delete`)
+            link(null)
+        } else if (operation === 'disconnect' && value) {
+            link(null)
+        } else if (operation === 'connect') {
+            link((await findRows(target, [value], 'read', state))[0])
+        } else if (operation === 'update') {
+            const current = await linked()
+            if (!current) throw new UserInputError(`No ${target.name} linked by ${association.as} to update`)
+            await updateRow(target, current, value, state)
+        } else if (operation === 'upsert') {
+            const current = await linked()
+            link(current ? await updateRow(target, current, value.update, state) : await createRow(target, value.create, state))
+        } else if (operation === 'create') {
+            link(await createRow(target, value, state))
+        }
+    }
+
+    return released
+}
+
+/**
+ * Runs the operations of a HasOne association, the target row holds the foreign key
+ */
+const writeHasOne = async (association, row, ops, state) => {
+    const { target, foreignKey, sourceKey } = association
+    const parentKey = row.get(sourceKey)
+    const linked = action => findLinked(target, { [foreignKey]: parentKey }, action, state)
+    // A single row is linked, the current one is unlinked before linking another
+    const unlink = async kept => {
+        const current = await linked('update')
+        if (current && !(kept && keyId(target, current) === keyId(target, kept))) await current.update({ [foreignKey]: null }, { transaction: state.transaction })
+    }
+
+    for (const operation of OPERATIONS.filter(operation => ops[operation] !== undefined && ops[operation] !== null)) {
+        const value = ops[operation]
+
+        if (operation === 'delete' && value) {
+            const current = await linked('delete')
+            if (!current) throw new UserInputError(`No ${target.name} linked by ${association.as} to delete`)
+            await current.destroy({ transaction: state.transaction })
+        } else if (operation === 'disconnect' && value) {
+            await unlink()
+        } else if (operation === 'connect') {
+            const [connected] = await findRows(target, [value], 'update', state)
+            await unlink(connected)
+            await connected.update({ [foreignKey]: parentKey }, { transaction: state.transaction })
+        } else if (operation === 'update') {
+            const current = await linked('update')
+            if (!current) throw new UserInputError(`No ${target.name} linked by ${association.as} to update`)
+            await updateRow(target, current, value, state)
+        } else if (operation === 'upsert') {
+            const current = await linked('update')
+            if (current) await updateRow(target, current, value.update, state)
+            else await createRow(target, value.create, state, { [foreignKey]: parentKey })
+        } else if (operation === 'create') {
+            await unlink()
+            await createRow(target, value, state, { [foreignKey]: parentKey })
+        }
+    }
+}
+
+/**
+ * Runs the operations of a HasMany association, the target rows hold the foreign key
+ */
+const writeHasMany = async (association, row, ops, state) => {
+    const { target, foreignKey, sourceKey } = association
+    const parentKey = row.get(sourceKey)
+    const linkedWhere = { [foreignKey]: parentKey }
+    const setForeignKey = (rows, value) => Promise.all(rows.map(child => child.update({ [foreignKey]: value }, { transaction: state.transaction })))
+
+    for (const operation of OPERATIONS.filter(operation => ops[operation])) {
+        const values = ops[operation]
+
+        if (operation === 'delete') {
+            for (const child of await findRows(target, values, 'delete', state, linkedWhere)) await child.destroy({ transaction: state.transaction })
+        } else if (operation === 'disconnect') {
+            await setForeignKey(await findRows(target, values, 'update', state, linkedWhere), null)
+        } else if (operation === 'set') {
+            const kept = await findRows(target, values, 'update', state)
+            const restriction = await authorize(target, 'update', state.context, { keys: values })
+            const current = await target.findAll({ where: mergeWhere(linkedWhere, restriction), transaction: state.transaction })
+
+            await setForeignKey(current.filter(child => !findByKey(target, kept, child)), null)
+            await setForeignKey(kept, parentKey)
+        } else if (operation === 'connect') {
+            await setForeignKey(await findRows(target, values, 'update', state), parentKey)
+        } else if (operation === 'update') {
+            const children = await findRows(target, values.map(child => child.where), 'update', state, linkedWhere)
+            for (const child of values) await updateRow(target, findByKey(target, children, child.where), child.data, state)
+        } else if (operation === 'upsert') {
+            const restriction = await authorize(target, 'update', state.context, { values })
+            const children = await target.findAll({ where: mergeWhere(keyWhere(target, values.map(child => getKey(target, child.where))), restriction), transaction: state.transaction })
+
+            for (const child of values) {
+                const current = findByKey(target, children, child.where)
+                const linkedTo = current && current.get(foreignKey)
+
+                // A row linked to another parent is not moved, it has to be disconnected from it first
+                if (linkedTo !== null && linkedTo !== undefined && String(linkedTo) !== String(parentKey)) {
+                    throw new UserInputError(`The ${target.name} ${JSON.stringify(_.pick(child.where, target.primaryKeyAttributes))} is linked to another ${association.source.name}`)
+                }
+
+                if (current) await updateRow(target, current.set(foreignKey, parentKey), child.update, state)
+                else await createRow(target, child.create, state, { [foreignKey]: parentKey })
+            }
+        } else if (operation === 'create') {
+            for (const child of values) await createRow(target, child, state, { [foreignKey]: parentKey })
+        }
+    }
+}
+
+/**
+ * Runs the operations of a BelongsToMany association, the links are rows of the through table
+ */
+const writeBelongsToMany = async (association, row, ops, state) => {
+    const target = association.target
+    const options = { transaction: state.transaction }
+    // The linked rows of a list of keys, a `UserInputError` tells the missing ones
+    const findLinkedRows = async (keys, action) => {
+        const restriction = await authorize(target, action, state.context, { keys })
+        const rows = await association.get(row, Object.assign({ where: mergeWhere(keyWhere(target, keys.map(key => getKey(target, key))), restriction) }, options))
+
+        checkMissing(target, keys, rows, `No ${target.name} linked by ${association.as} for`)
+
+        return rows
+    }
+
+    for (const operation of OPERATIONS.filter(operation => ops[operation])) {
+        const values = ops[operation]
+
+        if (operation === 'delete') {
+            const rows = await findLinkedRows(values, 'delete')
+            await association.remove(row, rows, options)
+            for (const linked of rows) await linked.destroy(options)
+        } else if (operation === 'disconnect') {
+            await association.remove(row, await findLinkedRows(values, 'read'), options)
+        } else if (operation === 'set') {
+            await association.set(row, await findRows(target, values, 'read', state), options)
+        } else if (operation === 'connect') {
+            await association.add(row, await findRows(target, values, 'read', state), options)
+        } else if (operation === 'update') {
+            const rows = await findLinkedRows(values.map(child => child.where), 'update')
+            for (const child of values) await updateRow(target, findByKey(target, rows, child.where), child.data, state)
+        } else if (operation === 'upsert') {
+            const restriction = await authorize(target, 'update', state.context, { values })
+            const rows = await target.findAll(Object.assign({ where: mergeWhere(keyWhere(target, values.map(child => getKey(target, child.where))), restriction) }, options))
+
+            for (const child of values) {
+                const current = findByKey(target, rows, child.where)
+
+                await association.add(row, current ? await updateRow(target, current, child.update, state) : await createRow(target, child.create, state), options)
+            }
+        } else if (operation === 'create') {
+            for (const child of values) await association.add(row, await createRow(target, child, state), options)
+        }
+    }
+}
+
+/**
+ * Creates a row and runs the nested operations of its values, in the transaction of the mutation.
+ * The nested operations are driven by the associations (`as`, `foreignKey`, `sourceKey`, `targetKey`,
+ * `through`) and check the rules of the rows they touch: `create` the create rule, `update` and
+ * `upsert` the update rule, `delete` the delete rule, linking and unlinking the update rule of the
+ * rows holding the foreign key (HasOne, HasMany) or the read rule of the linked rows (BelongsTo,
+ * BelongsToMany). The rules of the row itself are checked by the mutation.
+ * @param {*} model The sequelize model
+ * @param {*} values The values of the row, the nested operations under the association names
+ * @param {*} state `{ context, transaction }`
+ */
+const createNested = (model, values, state) => writeRow(model, model.build(splitValues(model, values).attributes), values, state)
+
+/**
+ * Updates a row and runs the nested operations of its values, see `createNested`
+ * @param {*} model The sequelize model
+ * @param {*} row The instance to update
+ * @param {*} values The values of the row, the nested operations under the association names
+ * @param {*} state `{ context, transaction }`
+ */
+const updateNested = (model, row, values, state) => {
+    row.set(splitValues(model, values).attributes)
+
+    return writeRow(model, row, values, state)
+}
+
+module.exports = {
+    getNestedInputType,
+    splitValues,
+    hasNestedValues,
+    createNested,
+    updateNested
+}
\ No newline at end of file
@@ -0,0 +1,145 @@
+const { GraphQLInterfaceType, GraphQLNonNull, GraphQLList, GraphQLID, GraphQLInt, GraphQLFloat, getNullableType } = require('graphql')
+const { toGlobalId, fromGlobalId } = require('graphql-relay')
+const { typeMapper } = require('graphql-sequelize')
+const { ForbiddenError } = require('apollo-server-errors')
+const _ = require('lodash')
+
+const { getKey, isComposite, keyWhere } = require('./key')
+const { authorize } = require('./policy')
+const { loader } = require('./extensions')
+const { getCacheKey } = require('./dataloader')
+const { getProperTypeName, mergeWhere } = require('./helper')
+
+// The raw value of an attribute named `id`, its field holds the global id
+const ROW_ID_FIELD = 'rowId'
+
+/**
+ * Returns the `Node` interface of a schema, implemented by every model type with `options.relay`
+ */
+const createNodeInterface = () => new GraphQLInterfaceType({
+    name: 'Node',
+    description: 'An object with a global id, see the `node` query',
+    fields: () => ({
+        id: { type: new GraphQLNonNull(GraphQLID), description: 'The global id of the object' }
+    }),
+    // The rows are sequelize instances, their model names the type
+    resolveType: row => getProperTypeName(row.constructor).upperFirst.singular
+})
+
+/**
+ * Returns the global id of a row: the type name and the primary key, JSON for composite keys
+ * @param {*} model The sequelize model
+ * @param {*} row The instance
+ */
+const toNodeId = (model, row) => {
+    const key = getKey(model, row)
+
+    return toGlobalId(getProperTypeName(model).upperFirst.singular, isComposite(model) ? JSON.stringify(key) : String(key))
+}
+
+/**
+ * Returns the model and the primary key of a global id, `null` when it names no model or its key is malformed
+ * @param {*} models The sequelize models
+ * @param {String} id A global id, see `toNodeId`
+ */
+const fromNodeId = (models, id) => {
+    const { type, id: key } = fromGlobalId(id)
+    const model = Object.values(models).find(model => model && model.rawAttributes && getProperTypeName(model).upperFirst.singular === type)
+    if (!model || !key) return null
+
+    if (isComposite(model)) {
+        try {
+            const values = JSON.parse(key)
+            return values && typeof values === 'object' && model.primaryKeyAttributes.every(attribute => values[attribute] !== undefined) ? { model, key: _.pick(values, model.primaryKeyAttributes) } : null
+        } catch (e) {
+            return null
+        }
+    }
+
+    // Numeric keys are read back as numbers, so the dataloader caches match
+    const keyType = getNullableType(typeMapper.toGraphQL(model.rawAttributes[model.primaryKeyAttribute].type, model.sequelize.constructor))
+    if (keyType !== GraphQLInt && keyType !== GraphQLFloat) return { model, key }
+
+    return isNaN(Number(key)) ? null : { model, key: Number(key) }
+}
+
+/**
+ * Returns the fields of a model type implementing `Node`: `id`, the global id, and `rowId`, the
+ * raw value of an attribute named `id`
+ * @param {*} model The sequelize model
+ * @param {*} fields The fields generated for the model type
+ */
+const addNodeFields = (model, fields) => {
+    if (fields.id) {
+        const resolve = fields.id.resolve || (source => source.id)
+        fields[ROW_ID_FIELD] = Object.assign({}, fields.id, { resolve })
+    }
+
+    fields.id = {
+        type: new GraphQLNonNull(GraphQLID),
+        description: 'The global id of the row, see the `node` query',
+        resolve: row => toNodeId(model, row)
+    }
+
+    return fields
+}
+
+/**
+ * Loads the row of a global id the user can read, `null` when it is missing. Rows without read
+ * restriction are read by the `byPrimaryKey` dataloaders of the request, batched by model; restricted
+ * rows by a loader of the request for each restriction, adding it
+ */
+const loadNode = async (models, context, id) => {
+    const node = fromNodeId(models, id)
+    if (!node) return null
+
+    const { model, key } = node
+    let restriction
+    try {
+        restriction = await authorize(model, 'read', context, { key })
+    } catch (e) {
+        if (e instanceof ForbiddenError) return null
+        throw e
+    }
+
+    const dataloaderContext = context && context.dataloaderContext
+    const loaders = dataloaderContext && dataloaderContext.loaders && dataloaderContext.loaders[model.name]
+
+    // Inside a mutation the rows are read by its transaction, out of the dataloaders
+    if (!restriction && loaders && !context.transaction) return loaders.byPrimaryKey.load(key)
+
+    // The rule gets the key, the rows are batched by restriction
+    return loader(context, getCacheKey(model, 'node', { where: restriction }), async keys => {
+        const rows = await model.findAll({ where: mergeWhere(keyWhere(model, keys), restriction), transaction: context && context.transaction })
+
+        return keys.map(key => rows.find(row => JSON.stringify(getKey(model, row)) === JSON.stringify(key)) || null)
+    }, { cacheKeyFn: key => JSON.stringify(key) }).load(key)
+}
+
+/**
+ * Returns the root `node(id)` and `nodes(ids)` queries, they read any row by its global id
+ * @param {*} models The sequelize models
+ * @param {*} nodeInterface The `Node` interface of the schema
+ */
+const generateNodeQueries = (models, nodeInterface) => ({
+    node: {
+        type: nodeInterface,
+        description: 'Reads a row by its global id',
+        args: { id: { type: new GraphQLNonNull(GraphQLID) } },
+        resolve: (source, { id }, context) => loadNode(models, context, id)
+    },
+    nodes: {
+        type: new GraphQLNonNull(new GraphQLList(nodeInterface)),
+        description: 'Reads rows by their global ids, in the same order',
+        args: { ids: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(GraphQLID))) } },
+        resolve: (source, { ids }, context) => ids.map(id => loadNode(models, context, id))
+    }
+})
+
+module.exports = {
+    createNodeInterface,
+    toNodeId,
+    fromNodeId,
+    addNodeFields,
+    generateNodeQueries
+}
\ No newline at end of file
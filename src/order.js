@@ -0,0 +1,174 @@
+const {
+    GraphQLInputObjectType, GraphQLEnumType, GraphQLString, GraphQLID, GraphQLInt, GraphQLFloat, GraphQLBoolean,
+    getNamedType
+} = require('graphql')
+const Sequelize = require('sequelize')
+const _ = require('lodash')
+
+const { getProperTypeName } = require('./helper')
+const { authorize, authorizeAttributeQuery } = require('./policy')
+
+/**
+ * Direction type, shared by every `<Model>OrderBy`
+ */
+const orderDirectionType = new GraphQLEnumType({
+    name: 'OrderDirection',
+    values: {
+        ASC: { value: 'ASC' },
+        DESC: { value: 'DESC' },
+        ASC_NULLS_FIRST: { value: 'ASC NULLS FIRST' },
+        ASC_NULLS_LAST: { value: 'ASC NULLS LAST' },
+        DESC_NULLS_FIRST: { value: 'DESC NULLS FIRST' },
+        DESC_NULLS_LAST: { value: 'DESC NULLS LAST' }
+    },
+    description: 'Sort direction, the NULLS variants are not supported by every dialect'
+})
+
+const isSortable = type => [GraphQLString, GraphQLID, GraphQLInt, GraphQLFloat, GraphQLBoolean].includes(type) ||
+    type.name === 'Date' || type instanceof GraphQLEnumType
+
+/**
+ * Returns a new `<Model>OrderBy` input type, or `null` when the model has no sortable attribute.
+ *
+ * Each item sorts by one attribute of the model (`field`) or, through its BelongsTo
+ * associations, by one attribute of the associated model.
+ * @param {*} model The sequelize model used to create the type
+ * @param {*} orderTypes Existing order types, created from all the Sequelize models
+ * @param {*} attributeTypes The fields returned by `attributeFields` for the queryable attributes of the model
+ */
+const generateOrderType = (model, orderTypes, attributeTypes) => {
+    const { upperFirst: { singular: typeName } } = getProperTypeName(model)
+
+    const attributes = Object.keys(attributeTypes).filter(attribute => {
+        const rawAttribute = model.rawAttributes[attribute]
+
+        return rawAttribute && !(rawAttribute.type instanceof Sequelize.VIRTUAL) && isSortable(getNamedType(attributeTypes[attribute].type))
+    })
+
+    if (!attributes.length) return null
+
+    const fieldType = new GraphQLEnumType({
+        name: `${typeName}OrderField`,
+        values: attributes.reduce((values, attribute) => Object.assign(values, {
+            [_.snakeCase(attribute).toUpperCase()]: { value: attribute }
+        }), {}),
+        description: `Sortable attributes of the model ${model.name}`
+    })
+
+    return new GraphQLInputObjectType({
+        name: `${typeName}OrderBy`,
+        fields: () => {
+            let fields = {
+                field: { type: fieldType },
+                direction: { type: orderDirectionType, description: 'Defaults to ASC, or to the direction of the enclosing item' }
+            }
+
+            Object.keys(model.associations).forEach(associationName => {
+                const relation = model.associations[associationName]
+                if (relation.associationType === 'BelongsTo' && orderTypes[relation.target.name]) {
+                    fields[associationName] = { type: orderTypes[relation.target.name] }
+                }
+            })
+
+            return fields
+        },
+        description: `Sort item for the model ${model.name}, set either field or one association`
+    })
+}
+
+/**
+ * Returns a correlated sub query reading an attribute at the end of a chain of BelongsTo associations
+ * @param {*} path BelongsTo associations, the first one starts at the queried model
+ * @param {*} attribute Attribute of the last associated model
+ * @param {Array} restrictions The read restriction of the target of each association, if any
+ */
+const associationValue = (path, attribute, restrictions) => {
+    const { queryGenerator } = path[0].source.sequelize.getQueryInterface()
+    const quote = identifier => queryGenerator.quoteIdentifier(identifier)
+
+    const aliases = path.reduce((aliases, relation) => aliases.concat(`${aliases[aliases.length - 1]}->${relation.as}`), [path[0].source.name])
+
+    return path.reduceRight((value, relation, i) => {
+        const target = relation.target
+        const conditions = [`${quote(aliases[i + 1])}.${quote(relation.targetKeyField)} = ${quote(aliases[i])}.${quote(relation.identifierField)}`]
+
+        if (target.options.paranoid) {
+            const deletedAt = target.rawAttributes[target._timestampAttributes.deletedAt]
+            conditions.push(`${quote(aliases[i + 1])}.${quote(deletedAt.field || target._timestampAttributes.deletedAt)} IS NULL`)
+        }
+        if (restrictions[i]) conditions.push(queryGenerator.getWhereConditions(Sequelize.Utils.mapWhereFieldNames(Object.assign({}, restrictions[i]), target), aliases[i + 1], target))
+
+        return `(SELECT ${value} FROM ${queryGenerator.quoteTable(target.getTableName())} AS ${quote(aliases[i + 1])} WHERE ${conditions.join(' AND ')})`
+    }, `${quote(aliases[aliases.length - 1])}.${quote(path[path.length - 1].target.rawAttributes[attribute].field || attribute)}`)
+}
+
+/**
+ * Compiles the value of an `orderBy` argument into a sequelize order.
+ *
+ * Attributes of associated models are read with a correlated sub query instead of an include,
+ * so the association getters keep batching through the dataloader. The sub query only reads the
+ * associated rows the context can read (the read rule of each target is checked and its row restriction
+ * applied), the others sort as `NULL`. Sorting by an attribute that can't be queried (see
+ * `isAttributeQueryable`) or through a model the context can't read throws a `ForbiddenError`.
+ * @param {*} model The sequelize model being sorted
+ * @param {*} orderBy List of `<Model>OrderBy` items
+ * @param {*} context The request context
+ * @returns {Promise<Array|undefined>} The sequelize order
+ */
+const compileOrder = async (model, orderBy, context) => {
+    if (!orderBy) return undefined
+
+    return Promise.all(orderBy.map(async item => {
+        let current = model
+        let path = []
+        let direction = 'ASC'
+
+        while (current) {
+            direction = item.direction || direction
+
+            const associationNames = Object.keys(item).filter(key => key !== 'field' && key !== 'direction' && item[key])
+
+            if ((item.field ? 1 : 0) + associationNames.length !== 1) throw new Error(`Each ${getProperTypeName(current).upperFirst.singular}OrderBy item must set exactly one of field or an association`)
+
+            if (item.field) break
+
+            const relation = current.associations[associationNames[0]]
+            path.push(relation)
+            item = item[associationNames[0]]
+            current = relation.target
+        }
+
+        authorizeAttributeQuery(current, item.field, 'order')
+        if (!path.length) return [item.field, direction]
+
+        const restrictions = await Promise.all(path.map(relation => authorize(relation.target, 'read', context, { orderBy })))
+
+        return [Sequelize.literal(associationValue(path, item.field, restrictions)), direction]
+    }))
+}
+
+/**
+ * Sets the compiled `orderBy` argument as order of sequelize find options.
+ *
+ * A raw order (the legacy `order` arguments) is only accepted when it names queryable attributes of the model.
+ */
+const applyOrder = async (model, findOptions, orderBy, context) => {
+    if (orderBy && orderBy.length) {
+        findOptions.order = await compileOrder(model, orderBy, context)
+    } else if (Array.isArray(findOptions.order)) {
+        findOptions.order.forEach(item => {
+            const attribute = Array.isArray(item) ? item[0] : item
+            if (typeof attribute === 'string' && !model.rawAttributes[attribute]) throw new Error(`Unknown attribute "${attribute}" in order of ${model.name}`)
+            if (typeof attribute === 'string') authorizeAttributeQuery(model, attribute, 'order')
+        })
+    }
+
+    return findOptions
+}
+
+module.exports = {
+    orderDirectionType,
+    generateOrderType,
+    compileOrder,
+    applyOrder
+}
\ No newline at end of file
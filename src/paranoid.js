@@ -0,0 +1,44 @@
+const { GraphQLBoolean } = require('graphql')
+const { Op } = require('sequelize')
+
+const { mergeWhere } = require('./helper')
+
+/**
+ * Returns `true` when the rows of a model are soft deleted (`paranoid` option)
+ */
+const isParanoid = model => !!(model.options && model.options.paranoid && model.options.timestamps !== false)
+
+/**
+ * Returns the `includeDeleted` and `onlyDeleted` arguments of a paranoid model, empty for the others
+ * @param {*} model The sequelize model
+ */
+const getParanoidArgs = model => isParanoid(model) ? {
+    includeDeleted: { type: GraphQLBoolean, description: 'Also return the soft deleted rows' },
+    onlyDeleted: { type: GraphQLBoolean, description: 'Only return the soft deleted rows' }
+} : {}
+
+/**
+ * Returns the where clause selecting the soft deleted rows of a paranoid model
+ */
+const deletedWhere = model => ({ [model._timestampAttributes.deletedAt]: { [Op.ne]: null } })
+
+/**
+ * Applies the `includeDeleted` and `onlyDeleted` arguments to sequelize find options.
+ *
+ * Both set `paranoid: false`, the dataloader shims then batch the reads with a loader of their own.
+ */
+const applyParanoid = (model, findOptions, args) => {
+    if (!isParanoid(model) || !args || !(args['includeDeleted'] || args['onlyDeleted'])) return findOptions
+
+    findOptions.paranoid = false
+    if (args['onlyDeleted']) findOptions.where = mergeWhere(findOptions.where, deletedWhere(model))
+
+    return findOptions
+}
+
+module.exports = {
+    isParanoid,
+    getParanoidArgs,
+    deletedWhere,
+    applyParanoid
+}
\ No newline at end of file
@@ -0,0 +1,187 @@
+const { ForbiddenError } = require('apollo-server-errors')
+const Sequelize = require('sequelize')
+
+const { mergeWhere } = require('./helper')
+const { keyWhere } = require('./key')
+
+/**
+ * Returns the policies declared in the model options, next to `options.resolvers`.
+ *
+ * ```js
+ * policies: {
+ *     read: (context) => context.user ? { companyId: context.user.companyId } : false,
+ *     delete: (context) => context.user && context.user.admin,
+ *     attributes: {
+ *         salary: { read: (context, { instance }) => context.user.id === instance.id, update: false }
+ *     }
+ * }
+ * ```
+ * @param {*} model The sequelize model
+ */
+const getPolicies = model => (model.options && model.options.policies) || {}
+
+const getAttributePolicies = (model, attribute) => (getPolicies(model).attributes || {})[attribute] || {}
+
+/**
+ * Returns the source columns of a `VIRTUAL` attribute (`DataTypes.VIRTUAL(DataTypes.STRING, ['firstName', 'lastName'])`)
+ */
+const getVirtualSources = (model, attribute) => {
+    const rawAttribute = model.rawAttributes[attribute]
+
+    return rawAttribute && rawAttribute.type instanceof Sequelize.VIRTUAL ? (rawAttribute.type.fields || []).filter(source => source !== attribute) : []
+}
+
+// The rules of an attribute for an action, a virtual attribute tells its source columns so their rules apply too
+const getAttributeRules = (model, attribute, action) => [attribute, ...getVirtualSources(model, attribute)]
+    .map(name => getAttributePolicies(model, name)[action])
+    .filter(rule => rule !== undefined && rule !== null)
+
+// Actions checked with the rule of another one when they have none of their own
+const fallbackActions = { restore: 'update' }
+
+const getRule = (model, action) => {
+    const policies = getPolicies(model)
+
+    return action in policies || !fallbackActions[action] ? policies[action] : policies[fallbackActions[action]]
+}
+
+/**
+ * Evaluates a rule: a boolean, a where object or a function of the context returning one of them
+ */
+const evaluate = async (rule, context, details) => {
+    if (rule === undefined || rule === null) return true
+    if (typeof rule === 'function') rule = await rule(context, details)
+
+    return rule === undefined || rule === null ? false : rule
+}
+
+/**
+ * Checks a model rule and returns the row level restriction it adds, if any.
+ *
+ * It throws a `ForbiddenError` when the rule denies the action.
+ * @param {*} model The sequelize model
+ * @param {*} action One of `read`, `create`, `update`, `delete` and `restore` (defaults to the `update` rule)
+ * @param {*} context The request context
+ * @param {*} details Passed to the rule along with the model and the action: `args`, `values`, `instance`
+ * @returns {Promise<Object|undefined>} The where clause restricting the rows
+ */
+const authorize = async (model, action, context, details = {}) => {
+    const result = await evaluate(getRule(model, action), context, Object.assign({ model, action }, details))
+
+    if (!result) throw new ForbiddenError(`Not authorized to ${action} ${model.name}`)
+
+    return result === true ? undefined : result
+}
+
+/**
+ * Checks the attribute rules of the values sent to a create or update.
+ */
+const authorizeValues = async (model, action, context, values, details = {}) => {
+    if (!values) return
+
+    for (const attribute of Object.keys(values)) {
+        if (!model.rawAttributes[attribute]) continue
+
+        for (const rule of getAttributeRules(model, attribute, action)) {
+            const result = await evaluate(rule, context, Object.assign({ model, action, values }, details))
+            if (!result) throw new ForbiddenError(`Not authorized to ${action} ${model.name}.${attribute}`)
+        }
+    }
+}
+
+/**
+ * Adds the read restriction of a model to sequelize find options
+ */
+const authorizeFind = async (model, findOptions, context, details = {}) => {
+    findOptions.where = mergeWhere(findOptions.where, await authorize(model, 'read', context, details))
+
+    return findOptions
+}
+
+/**
+ * Returns `true` when an attribute is hidden from the schema for an action (its rule, or the rule of a
+ * source column of a virtual attribute, is the literal `false`)
+ */
+const isAttributeHidden = (model, attribute, action) => getAttributeRules(model, attribute, action).some(rule => rule === false)
+
+/**
+ * Returns `true` when the rows can be queried by an attribute (filtered, sorted, grouped...): its read
+ * rules, and the ones of its source columns, are all `true`. A rule checked row by row can't be
+ * enforced in a where clause, an attribute hidden or read under conditions can't be queried
+ */
+const isAttributeQueryable = (model, attribute) => getAttributeRules(model, attribute, 'read').every(rule => rule === true)
+
+/**
+ * Throws a `ForbiddenError` when the rows can't be queried by an attribute, see `isAttributeQueryable`
+ * @param {*} model The sequelize model
+ * @param {*} attribute The attribute
+ * @param {*} usage What the query does with the attribute: `filter`, `order`, `group`...
+ */
+const authorizeAttributeQuery = (model, attribute, usage) => {
+    if (!isAttributeQueryable(model, attribute)) throw new ForbiddenError(`Not authorized to ${usage} ${model.name} by ${attribute}`)
+}
+
+/**
+ * Wraps the attribute fields of an output type so the attribute read rules are checked for every row,
+ * the rules of the source columns of the virtual attributes included
+ * @param {*} model The sequelize model
+ * @param {*} fields The fields returned by `attributeFields`
+ */
+const protectAttributeFields = (model, fields) => {
+    Object.keys(fields).forEach(attribute => {
+        const rules = getAttributeRules(model, attribute, 'read').filter(rule => rule !== true)
+        if (!rules.length) return
+
+        const resolve = fields[attribute].resolve || (source => source[attribute])
+        fields[attribute].resolve = async (source, args, context, info) => {
+            for (const rule of rules) {
+                const result = await evaluate(rule, context, { model, action: 'read', instance: source, args })
+                if (!result) throw new ForbiddenError(`Not authorized to read ${model.name}.${attribute}`)
+            }
+
+            return resolve(source, args, context, info)
+        }
+    })
+
+    return fields
+}
+
+/**
+ * Returns `true` when the subscriber of the context can read the row of an event.
+ *
+ * Row level restrictions are checked against the database, events of rows that are
+ * gone (or that can't be read back) are not delivered.
+ * @param {*} model The sequelize model
+ * @param {*} context The subscription context
+ * @param {*} key Primary key of the row, an object for composite keys (see `getKey`)
+ */
+const canRead = async (model, context, key) => {
+    let where
+    try {
+        where = await authorize(model, 'read', context, { key })
+    } catch (e) {
+        return false
+    }
+
+    if (!where) return true
+
+    const count = await model.count({
+        where: mergeWhere(keyWhere(model, [key]), where),
+        paranoid: false
+    })
+
+    return count > 0
+}
+
+module.exports = {
+    getPolicies,
+    authorize,
+    authorizeValues,
+    authorizeFind,
+    isAttributeHidden,
+    isAttributeQueryable,
+    authorizeAttributeQuery,
+    getVirtualSources,
+    protectAttributeFields,
+    canRead
+}
\ No newline at end of file
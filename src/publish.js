@@ -0,0 +1,188 @@
+const _ = require('lodash')
+
+const { getProperTypeName, mergeWhere, isModel } = require('./helper')
+const { getKey, keyWhere } = require('./key')
+const { deletedWhere } = require('./paranoid')
+const { isAttributeHidden } = require('./policy')
+const { afterCommit } = require('./transaction')
+
+const HOOK_NAME = 'magicGraphqlPublish'
+const PUBLISH_HOOKS = [
+    'afterCreate', 'afterUpdate', 'afterDestroy', 'afterRestore', 'afterBulkCreate',
+    'beforeBulkUpdate', 'afterBulkUpdate', 'beforeBulkDestroy', 'afterBulkDestroy', 'beforeBulkRestore', 'afterBulkRestore'
+]
+
+// Events waiting for the commit of their transaction
+const pendingEvents = new WeakMap()
+
+/**
+ * Returns the row of an event without the attributes hidden from every reader (read rule `false`),
+ * the payloads may leave the process (Redis, the outbox table...)
+ */
+const getPublishedRow = (model, row) => {
+    const hidden = Object.keys(model.rawAttributes).filter(attribute => isAttributeHidden(model, attribute, 'read'))
+    if (!hidden.length || !row || typeof row !== 'object') return row
+    if (typeof row.get !== 'function') return _.omit(row, hidden)
+
+    return model.build(_.omit(row.get({ plain: true }), hidden), { isNewRecord: false, raw: true })
+}
+
+/**
+ * Returns the channel and the payload of a subscription event.
+ *
+ * Added and updated events carry the row, deleted events carry its key along with
+ * the values of the deleted row (`<model>DeletedValues`) so subscribers can filter them.
+ * The hidden attributes are left out of both.
+ * @param {*} model The sequelize model
+ * @param {String} event One of `ADDED`, `UPDATED` and `DELETED`
+ * @param {*} row The instance written
+ */
+const getEvent = (model, event, row) => {
+    const { lowerFirst, toUpperWithLodashes } = getProperTypeName(model)
+    const field = `${lowerFirst.singular}${_.upperFirst(_.toLower(event))}`
+    const published = getPublishedRow(model, row)
+
+    return {
+        channel: `${toUpperWithLodashes.singular}_${event}`,
+        payload: event === 'DELETED'
+            ? { [field]: getKey(model, row), [`${field}Values`]: typeof published.get === 'function' ? published.get({ plain: true }) : published }
+            : { [field]: published }
+    }
+}
+
+/**
+ * Returns the attribute values of the row of a subscription event. Deleted events carry the key,
+ * and the values of the deleted row under `<field>Values`.
+ */
+const getEventValues = (model, payload, field) => {
+    const row = payload[`${field}Values`] || payload[field]
+    if (row && typeof row === 'object') return typeof row.get === 'function' ? row.get({ plain: true }) : row
+
+    return { [model.primaryKeyAttribute]: row }
+}
+
+/**
+ * Returns the instance of an added or updated event, built back from its values when the
+ * PubSub engine sent the payload as JSON
+ */
+const getEventRow = (model, payload, field) => {
+    const row = payload[field]
+    if (!row || typeof row !== 'object' || typeof row.get === 'function') return row
+
+    return model.build(row, { isNewRecord: false, raw: true })
+}
+
+/**
+ * Sends an event to the PubSub engine. The write it follows has already succeeded, a failure of the
+ * engine (a broker or database outage) goes to `onError` instead of rejecting unhandled
+ * @param {Function} onError Called with the error and the channel, logs by default
+ */
+const send = (pubSub, channel, payload, onError) => {
+    const report = e => onError ? onError(e, channel) : console.error(`magic-graphql: the event of ${channel} could not be published\n${e.stack || e}`)
+
+    try {
+        return Promise.resolve(pubSub.publish(channel, payload)).catch(report)
+    } catch (e) {
+        return Promise.resolve(report(e))
+    }
+}
+
+/**
+ * Publishes the subscription event of a row.
+ *
+ * Within a transaction the event waits for the commit and is deduplicated: a row gets a
+ * single event of each kind per transaction (the last values win), whether the generated
+ * mutation or a model hook published it.
+ * @param {*} pubSub The PubSub instance
+ * @param {*} model The sequelize model
+ * @param {String} event One of `ADDED`, `UPDATED` and `DELETED`
+ * @param {*} row The instance written
+ * @param {*} transaction The transaction of the write, if any
+ * @param {Function} onError Called when the engine fails to publish, see `options.onPublishError`
+ */
+const publish = (pubSub, model, event, row, transaction, onError) => {
+    const { channel, payload } = getEvent(model, event, row)
+    if (!transaction) return send(pubSub, channel, payload, onError)
+
+    let pending = pendingEvents.get(transaction)
+    if (!pending) {
+        pending = new Map()
+        pendingEvents.set(transaction, pending)
+        afterCommit(transaction, () => Promise.all(Array.from(pending.values()).map(({ channel, payload }) => send(pubSub, channel, payload, onError))))
+    }
+
+    pending.set(`${channel}|${JSON.stringify(getKey(model, row))}`, { channel, payload })
+}
+
+/**
+ * Registers hooks on every model publishing the subscription events of any write: custom
+ * resolvers, nested rows, bulk methods or code outside of GraphQL.
+ *
+ * Bulk updates, destroys and restores read the affected rows around the query, unless
+ * `individualHooks` already runs the hooks of each row. Registering again replaces the hooks.
+ * @param {*} models The sequelize models
+ * @param {*} pubSub The PubSub instance
+ * @param {Function} onError Called when the engine fails to publish, see `options.onPublishError`
+ */
+const registerPublishHooks = (models, pubSub, onError) => {
+    Object.keys(models).filter(modelName => isModel(models, modelName)).forEach(modelName => {
+        const model = models[modelName]
+
+        const hooks = {
+            afterCreate: (instance, options) => publish(pubSub, model, 'ADDED', instance, options.transaction, onError),
+            afterUpdate: (instance, options) => publish(pubSub, model, 'UPDATED', instance, options.transaction, onError),
+            afterDestroy: (instance, options) => publish(pubSub, model, 'DELETED', instance, options.transaction, onError),
+            afterRestore: (instance, options) => publish(pubSub, model, 'ADDED', instance, options.transaction, onError),
+            afterBulkCreate: (instances, options) => {
+                if (!options.individualHooks) instances.forEach(instance => publish(pubSub, model, 'ADDED', instance, options.transaction, onError))
+            },
+            beforeBulkUpdate: async options => {
+                if (!options.individualHooks) options[HOOK_NAME] = (await model.findAll({ attributes: model.primaryKeyAttributes, where: options.where, transaction: options.transaction })).map(row => getKey(model, row))
+            },
+            afterBulkUpdate: async options => {
+                if (!options[HOOK_NAME] || !options[HOOK_NAME].length) return
+
+                const instances = await model.findAll({ where: keyWhere(model, options[HOOK_NAME]), paranoid: false, transaction: options.transaction })
+                instances.forEach(instance => publish(pubSub, model, 'UPDATED', instance, options.transaction, onError))
+            },
+            beforeBulkDestroy: async options => {
+                if (!options.individualHooks) options[HOOK_NAME] = await model.findAll({ where: options.where, paranoid: !options.force, transaction: options.transaction })
+            },
+            afterBulkDestroy: options => {
+                if (options[HOOK_NAME]) options[HOOK_NAME].forEach(instance => publish(pubSub, model, 'DELETED', instance, options.transaction, onError))
+            },
+            beforeBulkRestore: async options => {
+                if (!options.individualHooks) options[HOOK_NAME] = (await model.findAll({ attributes: model.primaryKeyAttributes, where: mergeWhere(options.where, deletedWhere(model)), paranoid: false, transaction: options.transaction })).map(row => getKey(model, row))
+            },
+            afterBulkRestore: async options => {
+                if (!options[HOOK_NAME] || !options[HOOK_NAME].length) return
+
+                const instances = await model.findAll({ where: keyWhere(model, options[HOOK_NAME]), transaction: options.transaction })
+                instances.forEach(instance => publish(pubSub, model, 'ADDED', instance, options.transaction, onError))
+            }
+        }
+
+        Object.keys(hooks).forEach(hookType => {
+            model.removeHook(hookType, HOOK_NAME)
+            model.addHook(hookType, HOOK_NAME, hooks[hookType])
+        })
+    })
+}
+
+/**
+ * Removes the hooks registered by `registerPublishHooks`
+ * @param {*} models The sequelize models
+ */
+const unregisterPublishHooks = models => {
+    Object.keys(models).filter(modelName => isModel(models, modelName)).forEach(modelName => {
+        PUBLISH_HOOKS.forEach(hookType => models[modelName].removeHook(hookType, HOOK_NAME))
+    })
+}
+
+module.exports = {
+    getEventValues,
+    getEventRow,
+    publish,
+    registerPublishHooks,
+    unregisterPublishHooks
+}
\ No newline at end of file
@@ -0,0 +1,23 @@
+const { PubSub } = require('graphql-subscriptions')
+
+const OutboxPubSub = require('./outbox')
+
+// Default engine, its events only reach the subscribers of the same process
+const defaultPubSub = new PubSub()
+
+/**
+ * Returns the PubSub engine of the options, `options.pubsub` or an in-memory one.
+ *
+ * Any engine implementing the `PubSubEngine` interface of graphql-subscriptions can be used:
+ * `publish(triggerName, payload)`, `subscribe(triggerName, onMessage)` resolving to a
+ * subscription id, `unsubscribe(id)` and `asyncIterator(triggers)` (inherited when extending
+ * `PubSubEngine`). Payloads hold sequelize instances, engines crossing processes send them
+ * as JSON and the subscription fields build the instances back.
+ * @param {*} options The library options, `options.pubSub` is still read for compatibility
+ */
+const getPubSub = (options = {}) => options['pubsub'] || options['pubSub'] || defaultPubSub
+
+module.exports = {
+    getPubSub,
+    OutboxPubSub
+}
\ No newline at end of file
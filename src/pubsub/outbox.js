@@ -0,0 +1,211 @@
+const { PubSubEngine } = require('graphql-subscriptions')
+const Sequelize = require('sequelize')
+
+const { Op, DataTypes } = Sequelize
+
+/**
+ * PubSub engine sharing the events of every process through an outbox table of the database.
+ *
+ * `publish` inserts the event, each process with subscribers polls the rows added since its
+ * last read and delivers them in insertion order. When a poll fails (lost connection) the next
+ * one starts from the same row, so the events published in between are replayed. The failures
+ * are reported to `onError`, a subscriber throwing doesn't keep the others from the events.
+ *
+ * ```js
+ * const pubsub = new magicGraphql.OutboxPubSub({ sequelize: models.sequelize, interval: 500 })
+ * magicGraphql(app, { modelDirPath, subscriptions: true, httpServer, pubsub })
+ * ```
+ */
+class OutboxPubSub extends PubSubEngine {
+    /**
+     * @param {*} options `sequelize` (required), `tableName` (`graphql_outbox`), `interval` between
+     * two polls in ms (1000), `batchSize` (100), `retention` of the rows in ms (600000), `gapTimeout`
+     * in ms (5000), `since`, the id of the last row already delivered to replay the next ones, and
+     * `onError(error, row)` called when a poll or the delivery of a row fails (logs by default)
+     */
+    constructor(options = {}) {
+        super()
+
+        if (!options.sequelize) throw new Error('OutboxPubSub needs options.sequelize')
+
+        this.options = Object.assign({ tableName: 'graphql_outbox', interval: 1000, batchSize: 100, retention: 600000, gapTimeout: 5000, onError: null }, options)
+        this.onError = this.options.onError || ((error, row) => console.error(`magic-graphql: ${row ? `the outbox event ${row.id} (${row.channel}) could not be delivered` : 'the outbox could not be polled'}\n${error.stack || error}`))
+        this.model = options.sequelize.define(this.options.tableName, {
+            id: { type: DataTypes.BIGINT, primaryKey: true, autoIncrement: true },
+            channel: { type: DataTypes.STRING, allowNull: false },
+            payload: { type: DataTypes.TEXT, allowNull: false }
+        }, { tableName: this.options.tableName, timestamps: true, updatedAt: false })
+        // Not one of the models of the application: no types, loaders or hooks are generated for it
+        options.sequelize.modelManager.removeModel(this.model)
+
+        this.subscriptions = new Map()
+        this.nextSubscriptionId = 0
+        this.cursor = options.since === undefined ? null : Number(options.since)
+        // Ids above the cursor already delivered, waiting for the ids below them
+        this.delivered = new Set()
+        this.gapSince = null
+        this.lastCleanup = 0
+        this.timer = null
+        this.starting = null
+    }
+
+    /**
+     * Creates the outbox table when it does not exist
+     */
+    ready() {
+        if (!this.synced) this.synced = this.model.sync()
+
+        return this.synced
+    }
+
+    async publish(triggerName, payload) {
+        await this.ready()
+        await this.model.create({ channel: triggerName, payload: JSON.stringify(payload) })
+    }
+
+    async subscribe(triggerName, onMessage) {
+        // The subscriber gets the events published from now on, whatever the time it takes to start
+        await this.start(new Date())
+
+        const id = ++this.nextSubscriptionId
+        this.subscriptions.set(id, { triggerName, onMessage })
+
+        return id
+    }
+
+    unsubscribe(id) {
+        this.subscriptions.delete(id)
+
+        if (!this.subscriptions.size) this.stop()
+    }
+
+    /**
+     * Starts polling. Unless the cursor is known, it starts after the rows inserted before `since`:
+     * a second earlier, the dialects storing the dates without milliseconds round them
+     * @param {Date} since When the first subscriber subscribed
+     */
+    start(since = new Date()) {
+        if (!this.starting) {
+            this.starting = this.ready().then(async () => {
+                if (this.cursor === null) {
+                    const where = { createdAt: { [Op.lt]: new Date(since.getTime() - 1000) } }
+                    this.cursor = Number(await this.model.max('id', { where })) || 0
+                }
+                if (!this.timer) this.timer = setInterval(() => this.poll(), this.options.interval)
+            }).catch(e => {
+                this.starting = null
+                throw e
+            })
+        }
+
+        return this.starting
+    }
+
+    /**
+     * Stops polling, the next start goes on from the cursor so the events published in the meantime
+     * are delivered to the next subscribers
+     */
+    stop() {
+        clearInterval(this.timer)
+        this.timer = null
+        this.starting = null
+    }
+
+    /**
+     * Stops polling, for good
+     */
+    close() {
+        this.subscriptions.clear()
+        this.stop()
+        if (this.options.since === undefined) this.cursor = null
+        this.delivered.clear()
+    }
+
+    /**
+     * Delivers the rows added since the last poll
+     */
+    async poll() {
+        if (this.polling || this.cursor === null) return
+        this.polling = true
+
+        try {
+            const rows = await this.model.findAll({
+                where: { id: { [Op.gt]: this.cursor } },
+                order: [['id', 'ASC']],
+                limit: this.options.batchSize,
+                raw: true
+            })
+
+            rows.forEach(row => {
+                const id = Number(row.id)
+                if (this.delivered.has(id)) return
+
+                this.delivered.add(id)
+                this.deliver(row)
+            })
+
+            this.advance()
+            await this.cleanup()
+        } catch (e) {
+            // The cursor did not move, the next poll reads the same rows again
+            this.onError(e)
+        } finally {
+            this.polling = false
+        }
+    }
+
+    /**
+     * Delivers a row to the subscribers of its channel. A row that can't be read is reported and
+     * skipped, so is a subscriber failing: the other subscribers and the next rows still get delivered
+     */
+    deliver(row) {
+        let payload
+        try {
+            payload = JSON.parse(row.payload)
+        } catch (e) {
+            return this.onError(e, row)
+        }
+
+        this.subscriptions.forEach(({ triggerName, onMessage }) => {
+            if (triggerName !== row.channel) return
+
+            try {
+                Promise.resolve(onMessage(payload)).catch(e => this.onError(e, row))
+            } catch (e) {
+                this.onError(e, row)
+            }
+        })
+    }
+
+    /**
+     * Moves the cursor over the delivered ids. A missing id can still be committed by another
+     * process, it is waited for `gapTimeout` before being skipped (rolled back insert).
+     */
+    advance() {
+        while (this.delivered.size) {
+            const next = Math.min(...this.delivered)
+
+            if (next !== this.cursor + 1) {
+                if (!this.gapSince) this.gapSince = Date.now()
+                if (Date.now() - this.gapSince < this.options.gapTimeout) break
+            }
+
+            this.gapSince = null
+            this.delivered.delete(next)
+            this.cursor = next
+        }
+    }
+
+    /**
+     * Deletes the rows older than `retention`, once per retention period at most
+     */
+    async cleanup() {
+        const now = Date.now()
+        if (now - this.lastCleanup < this.options.retention) return
+
+        this.lastCleanup = now
+        await this.model.destroy({ where: { createdAt: { [Op.lt]: new Date(now - this.options.retention) } } })
+    }
+}
+
+module.exports = OutboxPubSub
\ No newline at end of file
@@ -0,0 +1,61 @@
+const { applyWrites } = require('./coherence')
+
+/**
+ * Runs the work of a mutation inside a managed sequelize transaction.
+ *
+ * The transaction is exposed as `context.transaction` (and on the dataloader context, so the
+ * shims skip batching and read the uncommitted rows) until the work is done. When the context
+ * already has a transaction the work joins it instead of opening a new one. Once committed, the
+ * rows it wrote are evicted from the dataloaders of the request (see `coherence.js`).
+ * @param {*} sequelize The sequelize instance
+ * @param {*} context The request context
+ * @param {Function} work Receives the transaction, any error rolls it back
+ */
+const runInTransaction = (sequelize, context, work) => {
+    if (context && context.transaction) return Promise.resolve(work(context.transaction))
+
+    return sequelize.transaction(transaction => {
+        if (!context) return work(transaction)
+
+        const dataloaderContext = context['dataloaderContext']
+        context.transaction = transaction
+        if (dataloaderContext) {
+            context['dataloaderContext'] = Object.assign({}, dataloaderContext, { transaction })
+            transaction.afterCommit(() => applyWrites(dataloaderContext, transaction))
+        }
+
+        return Promise.resolve().then(() => work(transaction)).finally(() => {
+            delete context.transaction
+            if (dataloaderContext) context['dataloaderContext'] = dataloaderContext
+        })
+    })
+}
+
+/**
+ * Wraps a resolver so it runs with `runInTransaction`
+ * @param {*} sequelize The sequelize instance
+ * @param {Function} resolve The resolver to wrap
+ */
+const transactionalResolver = (sequelize, resolve) => (source, args, context, info) => runInTransaction(sequelize, context, () => resolve(source, args, context, info))
+
+/**
+ * Sets the transaction of the context on sequelize find options, so reads made while a
+ * mutation runs see its uncommitted rows
+ */
+const joinTransaction = (findOptions, context) => {
+    if (context && context.transaction && !findOptions.transaction) findOptions.transaction = context.transaction
+
+    return findOptions
+}
+
+/**
+ * Runs a callback once the transaction is committed, right away without transaction
+ */
+const afterCommit = (transaction, callback) => transaction ? transaction.afterCommit(() => callback()) : callback()
+
+module.exports = {
+    runInTransaction,
+    transactionalResolver,
+    joinTransaction,
+    afterCommit
+}
\ No newline at end of file
@@ -0,0 +1,86 @@
+const {
+    isScalarType, isEnumType, isObjectType, isInterfaceType, isUnionType, isInputObjectType, isNonNullType, isListType,
+    isSpecifiedScalarType, isIntrospectionType
+} = require('graphql')
+const _ = require('lodash')
+
+// TypeScript type of the serialized value of each scalar, the others are `any`
+const SCALARS = {
+    ID: 'string',
+    String: 'string',
+    Int: 'number',
+    Float: 'number',
+    Boolean: 'boolean',
+    Date: 'string',
+    JSON: 'any'
+}
+
+const OPERATION_TYPES = ['Query', 'Mutation', 'Subscription']
+
+const printDescription = (description, indent = '') => description
+    ? `${indent}/** ${description.replace(/\*\//g, '*\\/').replace(/\s*\n\s*/g, ' ')} */\n`
+    : ''
+
+/**
+ * Returns the TypeScript expression of a GraphQL type reference
+ */
+const printType = (type, nullable = true) => {
+    if (isNonNullType(type)) return printType(type.ofType, false)
+
+    const printed = isListType(type)
+        ? `Array<${printType(type.ofType)}>`
+        : isScalarType(type) ? (SCALARS[type.name] || 'any') : type.name
+
+    return nullable ? `${printed} | null` : printed
+}
+
+const printFields = (fields, isInput) => Object.values(fields).map(field => {
+    const optional = isInput && !isNonNullType(field.type) ? '?' : ''
+
+    return `${printDescription(field.description, '    ')}    ${field.name}${optional}: ${printType(field.type)}`
+}).join('\n')
+
+/**
+ * Returns the TypeScript definitions of a schema: an interface per object and input type
+ * (models, inputs, filters, order...), a string union per enum and, for each operation
+ * (the fields of `Query`, `Mutation` and `Subscription`), an interface of its arguments
+ * named `<Operation><Field>Args`.
+ * @param {GraphQLSchema} schema The schema
+ */
+const printTypeScript = schema => {
+    const types = Object.values(schema.getTypeMap())
+        .filter(type => !isIntrospectionType(type) && !isSpecifiedScalarType(type))
+        .sort((a, b) => a.name.localeCompare(b.name))
+
+    let definitions = []
+
+    types.forEach(type => {
+        if (isScalarType(type)) {
+            definitions.push(`${printDescription(type.description)}export type ${type.name} = ${SCALARS[type.name] || 'any'}`)
+        } else if (isEnumType(type)) {
+            definitions.push(`${printDescription(type.description)}export type ${type.name} = ${type.getValues().map(value => `'${value.name}'`).join(' | ')}`)
+        } else if (isUnionType(type)) {
+            definitions.push(`${printDescription(type.description)}export type ${type.name} = ${type.getTypes().map(member => member.name).join(' | ')}`)
+        } else if (isObjectType(type) || isInterfaceType(type) || isInputObjectType(type)) {
+            definitions.push(`${printDescription(type.description)}export interface ${type.name} {\n${printFields(type.getFields(), isInputObjectType(type))}\n}`)
+        }
+    })
+
+    OPERATION_TYPES.forEach(operation => {
+        const type = schema.getType(operation)
+        if (!type) return
+
+        Object.values(type.getFields()).forEach(field => {
+            if (!field.args.length) return
+
+            const args = field.args.reduce((args, arg) => Object.assign(args, { [arg.name]: arg }), {})
+            definitions.push(`export interface ${operation}${_.upperFirst(field.name)}Args {\n${printFields(args, true)}\n}`)
+        })
+    })
+
+    return `// Generated by magic-graphql, do not edit\n\n${definitions.join('\n\n')}\n`
+}
+
+module.exports = {
+    printTypeScript
+}
\ No newline at end of file
@@ -0,0 +1,83 @@
+const fs = require('fs')
+const { dirname, join, sep } = require('path')
+
+const { getCustomsPath } = require('./helper')
+
+// Changes of several files at once (a save, a checkout) reload the schema once
+const RELOAD_DELAY = 100
+
+/**
+ * Returns the folders read to generate the schema: the folder of `options.modelDirPath` when it is
+ * a path, and the folder of the custom queries, mutations and types, `{ cached, watched }`. The modules
+ * under `cached` are required again on reload, `watched` are the folders whose changes reload
+ * @param {*} options The library options
+ */
+const getWatchedFolders = options => {
+    let cached = []
+    let watched = []
+
+    if (typeof options.modelDirPath === 'string') {
+        const modelsFolder = dirname(require.resolve(options.modelDirPath))
+
+        cached.push(modelsFolder)
+        watched.push(modelsFolder)
+    }
+
+    if (options.customsDirPath) {
+        ['query', 'mutation', 'types'].forEach(folder => {
+            const customsPath = getCustomsPath(options.customsDirPath, folder)
+
+            if (!cached.includes(customsPath)) cached.push(customsPath)
+            if (fs.existsSync(join(customsPath, folder))) watched.push(join(customsPath, folder))
+        })
+    }
+
+    return { cached, watched }
+}
+
+/**
+ * Removes the modules of the folders from the require cache, the packages they use stay cached
+ */
+const uncache = folders => Object.keys(require.cache)
+    .filter(file => folders.some(folder => file.startsWith(folder + sep)) && !file.includes(`${sep}node_modules${sep}`))
+    .forEach(file => delete require.cache[file])
+
+/**
+ * Watch mode: reloads the schema of the core (see `reload`) when a model, a custom query or
+ * mutation or a type extension changes, without restarting the server. A reload that fails (syntax error...) is
+ * reported to `options.onReloadError` (logged by default) and the previous schema is still served. The watchers
+ * are closed along with the core.
+ * @param {*} core The core, see `createCore`
+ */
+const watch = core => {
+    const { cached, watched } = getWatchedFolders(core.options)
+    let timer = null
+    const onReloadError = core.options.onReloadError || (error => console.error(`magic-graphql: the schema could not be reloaded, the previous one is still served\n${error.stack || error}`))
+
+    const reload = () => {
+        timer = null
+        uncache(cached)
+
+        try {
+            core.reload()
+        } catch (e) {
+            onReloadError(e)
+        }
+    }
+
+    const watchers = watched.map(folder => fs.watch(folder, (event, file) => {
+        if (file && !['.js', '.ts', '.json'].some(extension => file.endsWith(extension))) return
+
+        clearTimeout(timer)
+        timer = setTimeout(reload, RELOAD_DELAY)
+    }))
+
+    core.lifecycle.onStop(() => {
+        clearTimeout(timer)
+        watchers.forEach(watcher => watcher.close())
+    })
+}
+
+module.exports = {
+    watch
+}
\ No newline at end of file
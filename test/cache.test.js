@@ -0,0 +1,128 @@
+const assert = require('assert')
+
+const { DataTypes, createDatabase, createServer, dataOf } = require('./support')
+
+describe('shared cache', () => {
+    let sequelize, server
+
+    // Tables read by the queries run since the last call
+    const reads = () => sequelize.queries.splice(0)
+        .filter(sql => /SELECT/.test(sql))
+        .map(sql => sql.match(/FROM `(\w+)`/)[1])
+
+    const defineModels = sequelize => {
+        const Country = sequelize.define('country', { name: DataTypes.STRING }, { sharedCache: true })
+        const City = sequelize.define('city', { name: DataTypes.STRING }, { sharedCache: true })
+        City.belongsTo(Country, { as: 'country', foreignKey: 'countryId' })
+        Country.hasMany(City, { as: 'cities', foreignKey: 'countryId' })
+
+        return { Country, City }
+    }
+
+    beforeEach(async () => {
+        sequelize = createDatabase()
+        const { Country, City } = defineModels(sequelize)
+
+        await sequelize.sync()
+        await Country.bulkCreate([{ name: 'France' }, { name: 'Peru' }])
+        await City.bulkCreate([{ name: 'Paris', countryId: 1 }, { name: 'Lima', countryId: 2 }])
+    })
+
+    afterEach(async () => {
+        if (server) await server.core.stop()
+        server = null
+        await sequelize.close()
+    })
+
+    const cities = async () => dataOf(await server.run('{ cities { name country { name } } }')).cities
+
+    it('keeps the rows between the requests', async () => {
+        server = createServer(sequelize)
+
+        await cities()
+        reads()
+
+        assert.deepStrictEqual(await cities(), [{ name: 'Paris', country: { name: 'France' } }, { name: 'Lima', country: { name: 'Peru' } }])
+        assert.deepStrictEqual(reads(), ['cities'])
+    })
+
+    it('evicts the rows written in a transaction once it is committed', async () => {
+        server = createServer(sequelize)
+        await cities()
+
+        const transaction = await sequelize.transaction()
+        const france = await sequelize.models.country.findByPk(1, { transaction })
+        await france.update({ name: 'République française' }, { transaction })
+
+        assert.deepStrictEqual((await cities())[0].country, { name: 'France' })
+        await transaction.commit()
+        reads()
+
+        assert.deepStrictEqual((await cities())[0].country, { name: 'République française' })
+        assert.deepStrictEqual(reads(), ['cities', 'countries'])
+    })
+
+    it('keeps the cache when the transaction is rolled back', async () => {
+        server = createServer(sequelize)
+        await cities()
+
+        const transaction = await sequelize.transaction()
+        await sequelize.models.country.update({ name: 'Rolled back' }, { where: { id: 1 }, transaction, individualHooks: true })
+        await transaction.rollback()
+        reads()
+
+        assert.deepStrictEqual((await cities())[0].country, { name: 'France' })
+        assert.deepStrictEqual(reads(), ['cities'])
+    })
+
+    it('evicts the rows written by the generated mutations', async () => {
+        server = createServer(sequelize)
+        await cities()
+
+        dataOf(await server.run('mutation { updateCountry(id: 2, country: { name: "República del Perú" }) { name } }'))
+
+        assert.deepStrictEqual((await cities())[1].country, { name: 'República del Perú' })
+    })
+
+    it('does not share the lists filtered through another table', async () => {
+        server = createServer(sequelize)
+        const query = '{ countries { name cities(filter: { country: { name: { eq: "France" } } }) { name } } }'
+
+        assert.deepStrictEqual(dataOf(await server.run(query)).countries[0].cities, [{ name: 'Paris' }])
+        // A write of the countries doesn't evict the cities
+        await sequelize.models.country.update({ name: 'Francia' }, { where: { id: 1 }, individualHooks: true })
+
+        assert.deepStrictEqual(dataOf(await server.run(query)).countries[0].cities, [])
+    })
+
+    it('shares the unfiltered lists', async () => {
+        server = createServer(sequelize)
+        const query = '{ countries { cities { name } } }'
+
+        await server.run(query)
+        reads()
+        dataOf(await server.run(query))
+
+        assert.deepStrictEqual(reads(), ['countries'])
+    })
+
+    it('reads the database and swallows the errors of a failing async store', async () => {
+        const unhandled = []
+        const onUnhandled = reason => unhandled.push(reason)
+        process.on('unhandledRejection', onUnhandled)
+
+        try {
+            const fail = () => Promise.reject(new Error('Store unavailable'))
+            server = createServer(sequelize, { sharedCacheStore: () => ({ get: fail, set: fail, del: fail, reset: fail }) })
+
+            assert.deepStrictEqual((await cities())[0].country, { name: 'France' })
+            await sequelize.models.country.update({ name: 'Francia' }, { where: { id: 1 }, individualHooks: true })
+            await sequelize.models.country.update({ name: 'France' }, { where: { id: 1 } })
+            await new Promise(resolve => setTimeout(resolve, 10))
+
+            assert.deepStrictEqual(unhandled, [])
+        } finally {
+            process.removeListener('unhandledRejection', onUnhandled)
+        }
+    })
+})
\ No newline at end of file
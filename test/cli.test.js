@@ -0,0 +1,66 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { run } = require('../src/cli')
+const { diffSchemas } = require('../src/diff')
+
+describe('schema diff', () => {
+    it('classifies the removed, changed and added fields', () => {
+        const { breaking, dangerous, safe } = diffSchemas(
+            'type Query { user(id: Int): User } type User { name: String email: String }',
+            'type Query { user(id: Int, active: Boolean): User } type User { name: String! phone: String }'
+        )
+
+        assert.deepStrictEqual(breaking, [{ type: 'FIELD_REMOVED', description: 'User.email was removed.' }])
+        assert.deepStrictEqual(dangerous, [{ type: 'OPTIONAL_ARG_ADDED', description: 'An optional arg active on Query.user was added.' }])
+        assert.deepStrictEqual(safe, [{ type: 'FIELD_ADDED', description: 'User.phone was added.' }])
+    })
+
+    describe('command line', () => {
+        let folder
+
+        // A models folder outside of the repository, its modules require sequelize by its path
+        const writeModels = (name, attributes) => {
+            fs.mkdirSync(path.join(folder, name))
+            fs.writeFileSync(path.join(folder, name, 'index.js'), `
+                const { Sequelize, DataTypes } = require(${JSON.stringify(require.resolve('sequelize'))})
+                const sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false })
+                sequelize.define('user', ${attributes})
+                module.exports = Object.assign({ sequelize, Sequelize }, sequelize.models)
+            `)
+
+            return path.join(folder, name)
+        }
+
+        beforeEach(() => {
+            folder = fs.mkdtempSync(path.join(os.tmpdir(), 'magic-graphql-cli-'))
+        })
+
+        afterEach(() => fs.rmSync(folder, { recursive: true, force: true }))
+
+        it('fails on a field removed since the baseline', () => {
+            const baseline = path.join(folder, 'schema.graphql')
+            const report = path.join(folder, 'report.txt')
+
+            assert.strictEqual(run(['print-schema', '--models', writeModels('before', '{ name: DataTypes.STRING, email: DataTypes.STRING }'), '--out', baseline]), 0)
+            assert.strictEqual(run(['diff', '--models', writeModels('after', '{ name: DataTypes.STRING }'), '--baseline', baseline, '--out', report]), 1)
+
+            // The inputs, filters and sort orders of the model lose the field too
+            const [breaking] = fs.readFileSync(report, 'utf8').split('\n\n')
+            assert.ok(breaking.startsWith('Breaking changes ('))
+            assert.ok(breaking.split('\n').includes('  FIELD_REMOVED: User.email was removed.'))
+        })
+
+        it('passes without breaking changes', () => {
+            const baseline = path.join(folder, 'schema.graphql')
+            const report = path.join(folder, 'report.txt')
+
+            assert.strictEqual(run(['print-schema', '--models', writeModels('before', '{ name: DataTypes.STRING }'), '--out', baseline]), 0)
+            assert.strictEqual(run(['diff', '--models', writeModels('after', '{ name: DataTypes.STRING }'), `--baseline=${baseline}`, '--out', report]), 0)
+
+            assert.strictEqual(fs.readFileSync(report, 'utf8'), 'No changes\n')
+        })
+    })
+})
@@ -0,0 +1,81 @@
+const assert = require('assert')
+const { graphql } = require('graphql')
+
+const { DataTypes, createDatabase, createServer, dataOf } = require('./support')
+
+describe('dataloader coherence', () => {
+    let sequelize, server, context
+
+    before(() => {
+        sequelize = createDatabase()
+
+        const Author = sequelize.define('author', { name: DataTypes.STRING })
+        const Book = sequelize.define('book', { title: DataTypes.STRING })
+        Book.belongsTo(Author, { as: 'author', foreignKey: 'authorId' })
+        Author.hasMany(Book, { as: 'books', foreignKey: 'authorId' })
+
+        server = createServer(sequelize)
+    })
+
+    // The operations of a test share the context, and so the dataloader, of a single request
+    beforeEach(async () => {
+        const { author, book } = sequelize.models
+
+        await sequelize.sync({ force: true })
+        await author.bulkCreate([{ name: 'Ursula' }, { name: 'Octavia' }])
+        await book.bulkCreate([{ title: 'Earthsea', authorId: 1 }, { title: 'Lathe', authorId: 1 }, { title: 'Kindred', authorId: 2 }])
+        context = await server.core.context({})
+    })
+
+    after(() => server.core.stop())
+
+    const run = async query => dataOf(await graphql(server.core.schema, query, null, context))
+    // Tables read by the queries run since the last call
+    const reads = () => sequelize.queries.splice(0)
+        .filter(sql => /SELECT/.test(sql))
+        .map(sql => sql.match(/FROM `(\w+)`/)[1])
+    const authors = async () => (await run('{ authors { name books { title } } }')).authors
+
+    it('evicts the rows a mutation writes and primes the fresh ones', async () => {
+        await run('{ books { title author { name } } }')
+        await run('mutation { updateAuthor(id: 1, author: { name: "Ursula K." }) { id } }')
+        sequelize.queries.splice(0)
+
+        const { books } = await run('{ books { title author { name } } }')
+
+        assert.deepStrictEqual(books.map(book => book.author.name), ['Ursula K.', 'Ursula K.', 'Octavia'])
+        // The other author is still cached
+        assert.ok(sequelize.queries.some(sql => /FROM `authors` .* IN \(1\)/.test(sql)))
+        reads()
+
+        const primed = await context.dataloaderContext.loaders.author.byPrimaryKey.load(1)
+        assert.deepStrictEqual([primed.name, reads()], ['Ursula K.', []])
+    })
+
+    it('evicts the association lists under the new and previous foreign keys', async () => {
+        await authors()
+        await run('mutation { updateBook(id: 3, book: { authorId: 1 }) { id } }')
+
+        assert.deepStrictEqual(await authors(), [
+            { name: 'Ursula', books: [{ title: 'Earthsea' }, { title: 'Lathe' }, { title: 'Kindred' }] },
+            { name: 'Octavia', books: [] }
+        ])
+    })
+
+    it('evicts every row of the model after a bulk update', async () => {
+        await authors()
+        await run('mutation { updateManyBook(where: { authorId: { eq: 1 } }, set: { title: "Untitled" }) { id } }')
+
+        assert.deepStrictEqual((await authors())[0].books, [{ title: 'Untitled' }, { title: 'Untitled' }])
+    })
+
+    it('evicts the rows custom resolvers write with invalidate', async () => {
+        await run('{ books { author { name } } }')
+        await sequelize.query('UPDATE authors SET name = :name WHERE id = 2', { replacements: { name: 'Octavia E.' } })
+
+        assert.strictEqual((await run('{ books { author { name } } }')).books[2].author.name, 'Octavia')
+
+        context.invalidate('author', 2)
+        assert.strictEqual((await run('{ books { author { name } } }')).books[2].author.name, 'Octavia E.')
+    })
+})
@@ -0,0 +1,88 @@
+const assert = require('assert')
+
+const { DataTypes, createDatabase, createServer, dataOf, errorsOf } = require('./support')
+
+describe('connections', () => {
+    let sequelize, server
+
+    const page = async args => {
+        const data = dataOf(await server.run(`{
+            postsConnection(${args}) {
+                edges { cursor node { title } }
+                pageInfo { startCursor endCursor hasNextPage hasPreviousPage }
+                totalCount
+            }
+        }`))
+
+        return data.postsConnection
+    }
+    const titles = connection => connection.edges.map(edge => edge.node.title)
+
+    before(async () => {
+        sequelize = createDatabase()
+
+        const Author = sequelize.define('author', { name: DataTypes.STRING })
+        const Post = sequelize.define('post', { title: DataTypes.STRING, score: DataTypes.INTEGER })
+        Post.belongsTo(Author, { as: 'author', foreignKey: 'authorId' })
+
+        await sequelize.sync()
+        await Author.bulkCreate([{ name: 'Zoe' }, { name: 'Abe' }])
+        await Post.bulkCreate([
+            { title: 'A', score: 3, authorId: 1 },
+            { title: 'B', score: 1, authorId: 2 },
+            { title: 'C', score: 3, authorId: 2 },
+            { title: 'D', score: 2, authorId: 1 },
+            { title: 'E', score: 1, authorId: 1 }
+        ])
+
+        server = createServer(sequelize)
+    })
+
+    after(() => server.core.stop())
+
+    it('pages forward with first and after, ties broken by the primary key', async () => {
+        const first = await page('first: 2, orderBy: [{ field: SCORE }]')
+        const second = await page(`first: 2, after: "${first.pageInfo.endCursor}", orderBy: [{ field: SCORE }]`)
+        const third = await page(`first: 2, after: "${second.pageInfo.endCursor}", orderBy: [{ field: SCORE }]`)
+
+        assert.deepStrictEqual([titles(first), titles(second), titles(third)], [['B', 'E'], ['D', 'A'], ['C']])
+        assert.deepStrictEqual([first.pageInfo.hasNextPage, second.pageInfo.hasNextPage, third.pageInfo.hasNextPage], [true, true, false])
+        assert.deepStrictEqual([first.pageInfo.hasPreviousPage, second.pageInfo.hasPreviousPage], [false, true])
+        assert.strictEqual(first.totalCount, 5)
+    })
+
+    it('pages backward with last and before', async () => {
+        const last = await page('last: 2, orderBy: [{ field: SCORE, direction: DESC }]')
+        const previous = await page(`last: 2, before: "${last.pageInfo.startCursor}", orderBy: [{ field: SCORE, direction: DESC }]`)
+
+        assert.deepStrictEqual([titles(last), titles(previous)], [['B', 'E'], ['C', 'D']])
+        assert.deepStrictEqual([last.pageInfo.hasPreviousPage, previous.pageInfo.hasPreviousPage], [true, true])
+    })
+
+    it('does not drift when rows are inserted before the cursor', async () => {
+        const first = await page('first: 2, orderBy: [{ field: TITLE }]')
+        const post = await sequelize.models.post.create({ title: 'AA', score: 5, authorId: 1 })
+
+        try {
+            const second = await page(`first: 2, after: "${first.pageInfo.endCursor}", orderBy: [{ field: TITLE }]`)
+
+            assert.deepStrictEqual([titles(first), titles(second)], [['A', 'B'], ['C', 'D']])
+        } finally {
+            await post.destroy()
+        }
+    })
+
+    it('pages through the attributes of an association', async () => {
+        const first = await page('first: 3, orderBy: [{ author: { field: NAME } }, { field: TITLE }]')
+        const second = await page(`first: 3, after: "${first.pageInfo.endCursor}", orderBy: [{ author: { field: NAME } }, { field: TITLE }]`)
+
+        assert.deepStrictEqual([titles(first), titles(second)], [['B', 'C', 'A'], ['D', 'E']])
+    })
+
+    it('rejects a cursor that does not match the order', async () => {
+        const first = await page('first: 1, orderBy: [{ field: SCORE }]')
+        const result = await server.run(`{ postsConnection(first: 1, after: "${first.pageInfo.endCursor}", orderBy: [{ field: SCORE }, { field: TITLE }]) { edges { cursor } } }`)
+
+        assert.deepStrictEqual(errorsOf(result), [`Invalid cursor "${first.pageInfo.endCursor}"`])
+    })
+})
\ No newline at end of file
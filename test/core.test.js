@@ -0,0 +1,55 @@
+const assert = require('assert')
+
+const { DataTypes, createDatabase, createServer } = require('./support')
+
+describe('core', () => {
+    let sequelize
+
+    before(async () => {
+        sequelize = createDatabase()
+        sequelize.define('user', { name: DataTypes.STRING })
+        await sequelize.sync()
+    })
+
+    after(() => sequelize.close())
+
+    describe('contextWrapper', () => {
+        it('gets the context object of each operation when the context is an object', async () => {
+            const wrapped = []
+            const { core } = createServer(sequelize, {
+                context: { tenant: 'a' },
+                contextWrapper: context => {
+                    wrapped.push(context)
+                    return Object.assign({}, context, { wrapped: true })
+                }
+            })
+
+            const first = await core.context({})
+            const second = await core.context({})
+            await core.stop()
+
+            assert.strictEqual(wrapped.length, 2)
+            assert.strictEqual(wrapped[0].tenant, 'a')
+            assert.ok(first.wrapped && first.dataloaderContext)
+            assert.notStrictEqual(first.dataloaderContext, second.dataloaderContext)
+        })
+
+        it('gets the context factory when the context is a function', async () => {
+            const wrapped = []
+            const { core } = createServer(sequelize, {
+                context: ({ req }) => ({ user: req.user }),
+                contextWrapper: factory => {
+                    wrapped.push(factory)
+                    return async integrationContext => Object.assign(await factory(integrationContext), { wrapped: true })
+                }
+            })
+
+            const context = await core.context({ req: { user: 'ada' } })
+            await core.stop()
+
+            assert.strictEqual(wrapped.length, 1)
+            assert.strictEqual(typeof wrapped[0], 'function')
+            assert.deepStrictEqual([context.user, context.wrapped], ['ada', true])
+        })
+    })
+})
\ No newline at end of file
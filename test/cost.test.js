@@ -0,0 +1,64 @@
+const assert = require('assert')
+const { parse } = require('graphql')
+
+const { getQueryCost, createCostPlugin } = require('../src/cost')
+const { DataTypes, createDatabase, createServer } = require('./support')
+
+describe('query cost', () => {
+    let sequelize, server
+
+    before(() => {
+        sequelize = createDatabase()
+
+        const User = sequelize.define('user', { name: DataTypes.STRING })
+        const Post = sequelize.define('post', { title: DataTypes.STRING }, { limits: { maxPageSize: 50 } })
+        User.hasMany(Post, { as: 'posts', foreignKey: 'userId' })
+        Post.belongsTo(User, { as: 'user', foreignKey: 'userId' })
+
+        server = createServer(sequelize)
+    })
+
+    after(() => server.core.stop())
+
+    const costOf = (query, limits, variables) => getQueryCost(server.core.schema, parse(query), { variables, models: server.core.models, limits })
+
+    // 10 users, 20 posts each, and the user of each post
+    const query = '{ users(limit: 10) { name posts { title user { name } } } }'
+
+    it('counts the rows a query can read and the nesting of its models', () => {
+        assert.deepStrictEqual(costOf(query, { pageSize: 20 }), { cost: 10 + 200 + 200, depth: 3 })
+    })
+
+    it('rejects a query over the max cost', () => {
+        assert.throws(() => costOf(query, { pageSize: 20, cost: 400 }), error => {
+            assert.strictEqual(error.message, 'The query cost is 410, the max cost is 400')
+            assert.deepStrictEqual([error.extensions.code, error.extensions.cost, error.extensions.maxCost], ['QUERY_LIMIT_EXCEEDED', 410, 400])
+            return true
+        })
+    })
+
+    it('rejects a query over the max depth', () => {
+        assert.throws(() => costOf(query, { pageSize: 20, depth: 2 }), { message: 'The query depth is 3, the max depth is 2' })
+    })
+
+    it('rejects a list over the max page size of its model', () => {
+        assert.throws(() => costOf('query ($limit: Int) { posts(limit: $limit) { title } }', {}, { limit: 51 }), {
+            message: 'posts(limit: 51) is over the max page size of post, 50'
+        })
+        assert.deepStrictEqual(costOf('{ posts { title } }', {}), { cost: 50, depth: 1 })
+    })
+
+    it('checks every operation in the plugin and reports its cost', () => {
+        const limits = { pageSize: 20, cost: 400 }
+        const request = (source, response = {}) => {
+            const hooks = createCostPlugin(() => server.core.models, limits).requestDidStart()
+            hooks.didResolveOperation({ schema: server.core.schema, document: parse(source), request: {} })
+            hooks.willSendResponse({ response })
+
+            return response
+        }
+
+        assert.throws(() => request(query), { message: 'The query cost is 410, the max cost is 400' })
+        assert.deepStrictEqual(request('{ users(limit: 10) { name } }').extensions, { cost: { maxCost: 400, maxDepth: null, cost: 10, depth: 1 } })
+    })
+})
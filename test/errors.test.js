@@ -0,0 +1,92 @@
+const assert = require('assert')
+const { formatApolloErrors, ApolloError } = require('apollo-server-errors')
+
+const { DataTypes, createDatabase, createServer } = require('./support')
+
+describe('errors', () => {
+    let sequelize
+
+    before(async () => {
+        sequelize = createDatabase()
+
+        const Order = sequelize.define('order', { total: { type: DataTypes.INTEGER, validate: { min: 0 } } }, {
+            policies: {
+                // A broken rule fails in the resolvers, with the details of the failure
+                read: context => context.failure === 'internal' ? Promise.reject(new Error('The rules service at 10.0.0.7 is down'))
+                    : context.failure === 'database' ? { missingColumn: 1 }
+                    : true
+            }
+        })
+        const Item = sequelize.define('item', { qty: { type: DataTypes.INTEGER, validate: { min: 1 } } })
+        Order.hasMany(Item, { as: 'items', foreignKey: 'orderId' })
+
+        await sequelize.sync()
+    })
+
+    after(() => sequelize.close())
+
+    // Runs an operation and formats its errors as the Apollo server does, with the stack traces out of production
+    const errorsOf = async (options, query, failure) => {
+        const server = createServer(sequelize, Object.assign({ context: integrationContext => ({ failure: integrationContext.failure }) }, options))
+        const result = await server.run(query, { context: { failure } })
+        await server.core.stop()
+
+        return formatApolloErrors(result.errors || [], { formatter: server.core.formatError, debug: true })
+    }
+
+    describe('validation', () => {
+        it('reports every failure with the path of its field, nested rows included', async () => {
+            const [error] = await errorsOf({}, 'mutation { addOrder(order: { total: -1, items: { create: [{ qty: 1 }, { qty: 2 }, { qty: 0 }] } }) { id } }')
+
+            assert.strictEqual(error.extensions.code, 'VALIDATION_ERROR')
+            assert.deepStrictEqual(error.extensions.fields, [
+                { path: 'order.total', message: 'Validation min on total failed', validator: 'min' },
+                { path: 'order.items.create[2].qty', message: 'Validation min on qty failed', validator: 'min' }
+            ])
+            assert.strictEqual(await sequelize.models.order.count(), 0)
+        })
+
+        it('tells the row of a bulk create', async () => {
+            const [error] = await errorsOf({}, 'mutation { addManyOrder(input: [{ total: 1 }, { total: -1 }]) { id } }')
+
+            assert.deepStrictEqual(error.extensions.fields.map(field => field.path), ['order[1].total'])
+        })
+    })
+
+    describe('maskErrors', () => {
+        it('hides the internal errors, the database details and the stack traces', async () => {
+            const [internal] = await errorsOf({ maskErrors: true }, '{ orders { id } }', 'internal')
+            const [database] = await errorsOf({ maskErrors: true }, '{ orders { id } }', 'database')
+
+            assert.deepStrictEqual([internal.message, internal.extensions], ['Internal server error', { code: 'INTERNAL_SERVER_ERROR' }])
+            assert.deepStrictEqual([database.message, database.extensions], ['Database error', { code: 'DATABASE_ERROR' }])
+        })
+
+        it('keeps the errors with a code, the validation ones included', async () => {
+            const [error] = await errorsOf({ maskErrors: true }, 'mutation { addOrder(order: { total: -1 }) { id } }')
+
+            assert.strictEqual(error.message, 'Validation error: Validation min on total failed')
+            assert.deepStrictEqual(Object.keys(error.extensions).sort(), ['code', 'fields'])
+        })
+
+        it('shows the details without it', async () => {
+            const [internal] = await errorsOf({ maskErrors: false }, '{ orders { id } }', 'internal')
+            const [database] = await errorsOf({ maskErrors: false }, '{ orders { id } }', 'database')
+
+            assert.strictEqual(internal.message, 'The rules service at 10.0.0.7 is down')
+            assert.ok(internal.extensions.exception.stacktrace)
+            assert.strictEqual(database.extensions.code, 'DATABASE_ERROR')
+            assert.ok(database.message.includes('missingColumn'))
+        })
+    })
+
+    it('maps the errors with the first mapper returning one', async () => {
+        const errorMappers = [
+            error => error.message.includes('rules service') ? new ApolloError('Try again later', 'UNAVAILABLE') : null,
+            () => new ApolloError('Never used', 'UNUSED')
+        ]
+        const [error] = await errorsOf({ maskErrors: true, errorMappers }, '{ orders { id } }', 'internal')
+
+        assert.deepStrictEqual([error.message, error.extensions], ['Try again later', { code: 'UNAVAILABLE' }])
+    })
+})
@@ -0,0 +1,61 @@
+const assert = require('assert')
+const { parse, validate, subscribe } = require('graphql')
+
+const { DataTypes, createDatabase, createServer, dataOf, errorsOf } = require('./support')
+
+describe('association filters', () => {
+    let sequelize, server
+
+    before(async () => {
+        sequelize = createDatabase()
+
+        const Secret = sequelize.define('secret', { code: DataTypes.STRING }, { policies: { read: false } })
+        const Project = sequelize.define('project', { name: DataTypes.STRING, ownerId: DataTypes.INTEGER }, {
+            policies: { read: context => ({ ownerId: context.userId }) }
+        })
+        const Post = sequelize.define('post', { title: DataTypes.STRING })
+        Post.belongsTo(Secret, { as: 'secret', foreignKey: 'secretId' })
+        Post.belongsTo(Project, { as: 'project', foreignKey: 'projectId' })
+        Project.hasMany(Post, { as: 'posts', foreignKey: 'projectId' })
+
+        await sequelize.sync()
+        await Secret.bulkCreate([{ code: 'launch-1969' }])
+        await Project.bulkCreate([{ name: 'Apollo', ownerId: 1 }, { name: 'Apollo', ownerId: 2 }])
+        await Post.bulkCreate([
+            { title: 'Countdown', secretId: 1, projectId: 1 },
+            { title: 'Liftoff', projectId: 2 }
+        ])
+
+        server = createServer(sequelize, { subscriptions: true, context: integrationContext => ({ userId: integrationContext.userId }) })
+    })
+
+    after(() => server.core.stop())
+
+    it('rejects the filters through an association the caller can\'t read', async () => {
+        const results = await Promise.all([
+            server.run('{ posts(filter: { secret: { code: { like: "launch-1%" } } }) { title } }'),
+            server.run('{ posts(filter: { or: [{ title: { eq: "Liftoff" } }, { secret: { id: { eq: 1 } } }] }) { title } }'),
+            server.run('{ postsConnection(filter: { secret: { code: { like: "launch-1%" } } }) { totalCount } }'),
+            server.run('{ postAggregate(filter: { secret: { code: { like: "launch-1%" } } }) { count } }')
+        ])
+
+        results.forEach(result => assert.deepStrictEqual(errorsOf(result), ['Not authorized to read secret']))
+    })
+
+    it('only matches the associated rows the caller can read', async () => {
+        const query = '{ posts(filter: { project: { name: { eq: "Apollo" } } }) { title } }'
+
+        assert.deepStrictEqual(dataOf(await server.run(query, { context: { userId: 1 } })).posts, [{ title: 'Countdown' }])
+        assert.deepStrictEqual(dataOf(await server.run(query, { context: { userId: 2 } })).posts, [{ title: 'Liftoff' }])
+        assert.deepStrictEqual(dataOf(await server.run(query, { context: { userId: 3 } })).posts, [])
+    })
+
+    it('rejects the subscriptions filtered through an association the subscriber can\'t read', async () => {
+        const document = parse('subscription { postAdded(filter: { secret: { code: { like: "launch-1%" } } }) { title } }')
+        assert.deepStrictEqual(validate(server.core.schema, document), [])
+
+        const result = await subscribe(server.core.schema, document, null, await server.core.context({}))
+
+        assert.deepStrictEqual(errorsOf(result), ['Not authorized to read secret'])
+    })
+})
\ No newline at end of file
@@ -0,0 +1,39 @@
+// A process of the outbox test: `subscriber <channel> <count>` or `publisher <channel> <name> <count>`
+const { Sequelize } = require('sequelize')
+
+const OutboxPubSub = require('../../src/pubsub/outbox')
+
+const [role, channel, ...rest] = process.argv.slice(2)
+
+const main = async () => {
+    const sequelize = new Sequelize({ dialect: 'sqlite', storage: process.env.OUTBOX_STORAGE, logging: false, retry: { max: 20 } })
+    const pubsub = new OutboxPubSub({ sequelize, interval: 20 })
+
+    if (role === 'subscriber') {
+        const count = Number(rest[0])
+        const received = []
+
+        await new Promise(resolve => {
+            pubsub.subscribe(channel, payload => {
+                received.push(payload)
+                if (received.length === count) resolve()
+            }).then(() => process.send({ ready: true }))
+        })
+
+        pubsub.close()
+        process.send({ received })
+    } else {
+        const [name, count] = rest
+
+        for (let i = 0; i < Number(count); i++) await pubsub.publish(channel, { name, i })
+        process.send({ published: true })
+    }
+
+    await sequelize.close()
+    process.disconnect()
+}
+
+main().catch(e => {
+    console.error(e)
+    process.exit(1)
+})
\ No newline at end of file
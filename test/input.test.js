@@ -0,0 +1,60 @@
+const assert = require('assert')
+
+const { DataTypes, createDatabase, createServer, dataOf, errorsOf } = require('./support')
+
+describe('create inputs', () => {
+    let sequelize, server
+
+    before(async () => {
+        sequelize = createDatabase()
+
+        const Customer = sequelize.define('customer', { name: DataTypes.STRING })
+        const Order = sequelize.define('order', { number: DataTypes.STRING, customerId: { type: DataTypes.INTEGER, allowNull: false } })
+        Order.belongsTo(Customer, { as: 'customer', foreignKey: 'customerId' })
+        Customer.hasMany(Order, { as: 'orders', foreignKey: 'customerId' })
+
+        await sequelize.sync()
+        await Customer.bulkCreate([{ name: 'Ada' }])
+
+        server = createServer(sequelize)
+    })
+
+    after(() => server.core.stop())
+
+    it('tells the association that can set a required foreign key', () => {
+        const field = server.core.schema.getType('OrderCreateInput').getFields().customerId
+
+        assert.strictEqual(field.type.toString(), 'Int')
+        assert.ok(field.description.endsWith('Required unless `customer` links a row.'))
+    })
+
+    it('rejects a new row without its required foreign key or a nested write linking a row', async () => {
+        const results = await Promise.all([
+            server.run('mutation { addOrder(order: { number: "A-1" }) { id } }'),
+            server.run('mutation { addOrder(order: { number: "A-1", customer: { disconnect: true } }) { id } }'),
+            server.run('mutation { addCustomer(customer: { name: "Bob", orders: { create: [{ number: "B-1" }] } }) { id } }')
+        ])
+
+        assert.deepStrictEqual(errorsOf(results[0]), ['Validation error: customerId or customer is required'])
+        assert.deepStrictEqual(results[0].errors[0].extensions.fields, [{ path: 'order.customerId', message: 'customerId or customer is required', validator: 'notNull' }])
+        assert.deepStrictEqual(errorsOf(results[1]), ['Validation error: customerId or customer is required'])
+        // Rows created under their parent get the key from it
+        assert.deepStrictEqual(errorsOf(results[2]), [])
+    })
+
+    it('creates a row with the key or a nested write linking a row', async () => {
+        const data = dataOf(await server.run(`mutation {
+            byKey: addOrder(order: { number: "A-2", customerId: 1 }) { customer { name } }
+            connected: addOrder(order: { number: "A-3", customer: { connect: { id: 1 } } }) { customer { name } }
+            created: addOrder(order: { number: "C-1", customer: { create: { name: "Cy" } } }) { customer { name } }
+        }`))
+
+        assert.deepStrictEqual(data, { byKey: { customer: { name: 'Ada' } }, connected: { customer: { name: 'Ada' } }, created: { customer: { name: 'Cy' } } })
+    })
+
+    it('reports the rows of a bulk create missing their key', async () => {
+        const result = await server.run('mutation { addManyOrder(input: [{ number: "A-4", customerId: 1 }, { number: "A-5" }]) { id } }')
+
+        assert.deepStrictEqual(result.errors[0].extensions.fields.map(field => field.path), ['order[1].customerId'])
+    })
+})
@@ -0,0 +1,76 @@
+const assert = require('assert')
+const { graphql, GraphQLInt } = require('graphql')
+
+const { DataTypes, createDatabase, createServer } = require('./support')
+const { report } = require('../src/instrumentation')
+
+describe('instrumentation', () => {
+    let sequelize, server
+
+    // Runs an operation, returns its data and the instrumentation of its request
+    const execute = async query => {
+        const context = await server.core.context({})
+        const result = await graphql(server.core.schema, query, null, context)
+        if (result.errors) throw result.errors[0]
+
+        return { data: result.data, instrumentation: context.dataloaderContext.instrumentation }
+    }
+
+    before(async () => {
+        sequelize = createDatabase()
+
+        const Customer = sequelize.define('customer', { name: DataTypes.STRING }, {
+            resolvers: {
+                fields: {
+                    // Queries the database for each row, a N+1
+                    orderCount: { type: GraphQLInt, resolve: customer => sequelize.models.order.count({ where: { buyerId: customer.id } }) }
+                }
+            }
+        })
+        const Order = sequelize.define('order', { code: DataTypes.STRING })
+        Order.belongsTo(Customer, { as: 'buyer', foreignKey: 'buyerId' })
+        Customer.hasMany(Order, { as: 'orders', foreignKey: 'buyerId' })
+
+        await sequelize.sync()
+        await Customer.bulkCreate([{ name: 'Ada' }, { name: 'Bob' }, { name: 'Eve' }])
+        await Order.bulkCreate([{ code: 'A', buyerId: 1 }, { code: 'B', buyerId: 2 }, { code: 'C', buyerId: 3 }])
+
+        server = createServer(sequelize, { instrumentation: true })
+    })
+
+    after(() => server.core.stop())
+
+    it('counts the queries of a request by model and association', async () => {
+        const { instrumentation } = await execute('{ orders { code buyer { name orders { code } } } }')
+
+        assert.strictEqual(instrumentation.queries, 3)
+        assert.deepStrictEqual(instrumentation.models, { order: 2, customer: 1 })
+        assert.deepStrictEqual(instrumentation.associations, { 'order.buyer': 1, 'customer.orders': 1 })
+        assert.deepStrictEqual(report(instrumentation).unbatched, [])
+    })
+
+    it('tells the resolver paths querying for each row of a list', async () => {
+        const { instrumentation } = await execute('{ customers { name orderCount } }')
+
+        assert.deepStrictEqual(report(instrumentation).unbatched, [{ path: 'customers.orderCount', model: 'order', queries: 3, rows: 3 }])
+    })
+
+    it('keeps the counts of concurrent requests apart', async () => {
+        const [orders, customers] = await Promise.all([
+            execute('{ orders { code buyer { name } } }'),
+            execute('{ customers { name } }')
+        ])
+
+        assert.deepStrictEqual(orders.instrumentation.models, { order: 1, customer: 1 })
+        assert.deepStrictEqual(customers.instrumentation.models, { customer: 1 })
+    })
+
+    it('leaves the async context of the caller alone', async () => {
+        const { instrumentation } = await execute('{ customers { name } }')
+        await sequelize.models.customer.findAll()
+        await new Promise(resolve => setImmediate(resolve))
+        await sequelize.models.order.findAll()
+
+        assert.strictEqual(instrumentation.queries, 1)
+    })
+})
\ No newline at end of file
@@ -0,0 +1,193 @@
+const assert = require('assert')
+
+const { DataTypes, createDatabase, createServer, dataOf, errorsOf } = require('./support')
+
+describe('nested writes', () => {
+    let sequelize, server
+
+    before(() => {
+        sequelize = createDatabase()
+
+        const Author = sequelize.define('author', { name: DataTypes.STRING })
+        const Profile = sequelize.define('profile', { bio: DataTypes.STRING }, { policies: { delete: false } })
+        const Post = sequelize.define('post', { title: DataTypes.STRING, locked: { type: DataTypes.BOOLEAN, defaultValue: false } }, {
+            policies: { update: () => ({ locked: false }) }
+        })
+        const Tag = sequelize.define('tag', { label: DataTypes.STRING })
+        Author.hasOne(Profile, { as: 'profile', foreignKey: 'authorId' })
+        Author.hasMany(Post, { as: 'posts', foreignKey: 'authorId' })
+        Post.belongsTo(Author, { as: 'author', foreignKey: 'authorId' })
+        Post.belongsToMany(Tag, { as: 'tags', through: 'post_tag', foreignKey: 'postId', otherKey: 'tagId' })
+        Tag.belongsToMany(Post, { as: 'posts', through: 'post_tag', foreignKey: 'tagId', otherKey: 'postId' })
+
+        server = createServer(sequelize)
+    })
+
+    beforeEach(async () => {
+        const { author, profile, post, tag } = sequelize.models
+
+        await sequelize.sync({ force: true })
+        await author.bulkCreate([{ name: 'Ada' }, { name: 'Bob' }])
+        await profile.bulkCreate([{ bio: 'Ada bio', authorId: 1 }, { bio: 'Loose' }])
+        await post.bulkCreate([
+            { title: 'Ada 1', authorId: 1 },
+            { title: 'Ada 2', authorId: 1 },
+            { title: 'Bob 1', authorId: 2 },
+            { title: 'Draft' },
+            { title: 'Locked', authorId: 2, locked: true }
+        ])
+        await tag.bulkCreate([{ label: 'js' }, { label: 'db' }, { label: 'ops' }])
+        await (await post.findByPk(1)).setTags([1, 2])
+    })
+
+    after(() => server.core.stop())
+
+    const run = async query => dataOf(await server.run(query))
+    const fail = async query => errorsOf(await server.run(query))
+
+    // The rows as stored, ordered by primary key
+    const posts = async where => (await sequelize.models.post.findAll({ where, order: [['id', 'ASC']] })).map(post => [post.title, post.authorId])
+    const profiles = async () => (await sequelize.models.profile.findAll({ order: [['id', 'ASC']] })).map(profile => [profile.bio, profile.authorId])
+    const tagsOf = async id => (await (await sequelize.models.post.findByPk(id)).getTags({ order: [['id', 'ASC']] })).map(tag => tag.label)
+
+    describe('has many', () => {
+        it('creates the rows along with their parent', async () => {
+            const data = await run('mutation { addAuthor(author: { name: "Cy", posts: { create: [{ title: "Cy 1" }, { title: "Cy 2" }] } }) { id } }')
+
+            assert.deepStrictEqual(await posts({ authorId: data.addAuthor.id }), [['Cy 1', 3], ['Cy 2', 3]])
+        })
+
+        it('connects, disconnects and sets the rows', async () => {
+            await run('mutation { updateAuthor(id: 1, author: { posts: { connect: [{ id: 4 }], disconnect: [{ id: 2 }] } }) { id } }')
+            assert.deepStrictEqual(await posts({ authorId: 1 }), [['Ada 1', 1], ['Draft', 1]])
+
+            await run('mutation { updateAuthor(id: 1, author: { posts: { set: [{ id: 2 }] } }) { id } }')
+            assert.deepStrictEqual(await posts({ authorId: 1 }), [['Ada 2', 1]])
+        })
+
+        it('updates and deletes the linked rows only', async () => {
+            await run('mutation { updateAuthor(id: 1, author: { posts: { update: [{ where: { id: 1 }, data: { title: "Ada one" } }], delete: [{ id: 2 }] } }) { id } }')
+
+            assert.deepStrictEqual(await posts({ authorId: 1 }), [['Ada one', 1]])
+            assert.deepStrictEqual(await fail('mutation { updateAuthor(id: 1, author: { posts: { update: [{ where: { id: 3 }, data: { title: "Mine" } }] } }) { id } }'), ['No post found for {"id":3}'])
+            assert.deepStrictEqual(await fail('mutation { updateAuthor(id: 1, author: { posts: { delete: [{ id: 3 }] } }) { id } }'), ['No post found for {"id":3}'])
+        })
+
+        it('upserts the rows: updates the linked ones, links the loose ones and creates the others', async () => {
+            await run(`mutation { updateAuthor(id: 1, author: { posts: { upsert: [
+                { where: { id: 1 }, create: { title: "New" }, update: { title: "Ada one" } },
+                { where: { id: 4 }, create: { title: "New" }, update: { title: "Ada draft" } },
+                { where: { id: 99 }, create: { title: "Ada 3" }, update: { title: "Unused" } }
+            ] } }) { id } }`)
+
+            assert.deepStrictEqual(await posts({ authorId: 1 }), [['Ada one', 1], ['Ada 2', 1], ['Ada draft', 1], ['Ada 3', 1]])
+        })
+
+        it('does not move the rows of another parent with upsert', async () => {
+            const errors = await fail('mutation { updateAuthor(id: 1, author: { posts: { upsert: [{ where: { id: 3 }, create: { title: "New" }, update: { title: "Taken" } }] } }) { id } }')
+
+            assert.deepStrictEqual(errors, ['The post {"id":3} is linked to another author'])
+            assert.deepStrictEqual(await posts({ id: 3 }), [['Bob 1', 2]])
+        })
+    })
+
+    describe('has one', () => {
+        it('creates the row along with its parent and replaces the linked one', async () => {
+            const data = await run('mutation { addAuthor(author: { name: "Cy", profile: { create: { bio: "Cy bio" } } }) { id profile { bio } } }')
+            assert.deepStrictEqual(data.addAuthor, { id: 3, profile: { bio: 'Cy bio' } })
+
+            await run('mutation { updateAuthor(id: 1, author: { profile: { create: { bio: "Ada new" } } }) { id } }')
+            assert.deepStrictEqual(await profiles(), [['Ada bio', null], ['Loose', null], ['Cy bio', 3], ['Ada new', 1]])
+        })
+
+        it('connects, disconnects and updates the row', async () => {
+            await run('mutation { updateAuthor(id: 2, author: { profile: { connect: { id: 2 }, update: { bio: "Bob bio" } } }) { id } }')
+            assert.deepStrictEqual(await profiles(), [['Ada bio', 1], ['Bob bio', 2]])
+
+            await run('mutation { updateAuthor(id: 1, author: { profile: { disconnect: true } }) { id } }')
+            assert.deepStrictEqual(await profiles(), [['Ada bio', null], ['Bob bio', 2]])
+            assert.deepStrictEqual(await fail('mutation { updateAuthor(id: 1, author: { profile: { update: { bio: "None" } } }) { id } }'), ['No profile linked by profile to update'])
+        })
+
+        it('upserts the row', async () => {
+            await run('mutation { updateAuthor(id: 1, author: { profile: { upsert: { create: { bio: "New" }, update: { bio: "Ada updated" } } } }) { id } }')
+            await run('mutation { updateAuthor(id: 2, author: { profile: { upsert: { create: { bio: "Bob new" }, update: { bio: "Unused" } } } }) { id } }')
+
+            assert.deepStrictEqual(await profiles(), [['Ada updated', 1], ['Loose', null], ['Bob new', 2]])
+        })
+
+        it('checks the delete rule of the row', async () => {
+            assert.deepStrictEqual(await fail('mutation { updateAuthor(id: 1, author: { profile: { delete: true } }) { id } }'), ['Not authorized to delete profile'])
+            assert.deepStrictEqual(await profiles(), [['Ada bio', 1], ['Loose', null]])
+        })
+    })
+
+    describe('belongs to', () => {
+        it('creates and connects the parent of a row', async () => {
+            const created = await run('mutation { addPost(post: { title: "Cy 1", author: { create: { name: "Cy" } } }) { id author { name } } }')
+            const connected = await run('mutation { addPost(post: { title: "Bob 2", author: { connect: { id: 2 } } }) { id author { name } } }')
+
+            assert.deepStrictEqual([created.addPost.author, connected.addPost.author], [{ name: 'Cy' }, { name: 'Bob' }])
+        })
+
+        it('disconnects, updates and upserts the parent', async () => {
+            await run('mutation { updatePost(id: 2, post: { author: { disconnect: true } }) { id } }')
+            await run('mutation { updatePost(id: 1, post: { author: { update: { name: "Ada L." } } }) { id } }')
+            await run('mutation { updatePost(id: 4, post: { author: { upsert: { create: { name: "Cy" }, update: { name: "Unused" } } } }) { id } }')
+
+            assert.deepStrictEqual(await posts(), [['Ada 1', 1], ['Ada 2', null], ['Bob 1', 2], ['Draft', 3], ['Locked', 2]])
+            assert.deepStrictEqual((await sequelize.models.author.findAll({ order: [['id', 'ASC']] })).map(author => author.name), ['Ada L.', 'Bob', 'Cy'])
+        })
+
+        it('deletes the parent once the row is unlinked', async () => {
+            await run('mutation { updatePost(id: 3, post: { author: { delete: true } }) { id } }')
+
+            assert.deepStrictEqual(await posts({ id: 3 }), [['Bob 1', null]])
+            assert.strictEqual(await sequelize.models.author.findByPk(2), null)
+        })
+    })
+
+    describe('belongs to many', () => {
+        it('creates, connects and disconnects the links', async () => {
+            await run('mutation { updatePost(id: 1, post: { tags: { disconnect: [{ id: 1 }], connect: [{ id: 3 }], create: [{ label: "api" }] } }) { id } }')
+
+            assert.deepStrictEqual(await tagsOf(1), ['db', 'ops', 'api'])
+        })
+
+        it('sets the links', async () => {
+            await run('mutation { updatePost(id: 1, post: { tags: { set: [{ id: 3 }] } }) { id } }')
+
+            assert.deepStrictEqual(await tagsOf(1), ['ops'])
+        })
+
+        it('updates, deletes and upserts the linked rows', async () => {
+            await run(`mutation { updatePost(id: 1, post: { tags: {
+                update: [{ where: { id: 1 }, data: { label: "javascript" } }],
+                delete: [{ id: 2 }],
+                upsert: [{ where: { id: 3 }, create: { label: "Unused" }, update: { label: "devops" } }, { where: { id: 99 }, create: { label: "sql" }, update: { label: "Unused" } }]
+            } }) { id } }`)
+
+            assert.deepStrictEqual(await tagsOf(1), ['javascript', 'devops', 'sql'])
+            assert.strictEqual(await sequelize.models.tag.findByPk(2), null)
+            assert.deepStrictEqual(await fail('mutation { updatePost(id: 2, post: { tags: { update: [{ where: { id: 1 }, data: { label: "Not linked" } }] } }) { id } }'), ['No tag linked by tags for {"id":1}'])
+        })
+    })
+
+    describe('policies and transactions', () => {
+        it('only updates the rows allowed by the update rule', async () => {
+            const errors = await fail('mutation { updateAuthor(id: 2, author: { posts: { update: [{ where: { id: 5 }, data: { title: "Unlocked" } }] } }) { id } }')
+
+            assert.deepStrictEqual(errors, ['No post found for {"id":5}'])
+            assert.deepStrictEqual(await posts({ id: 5 }), [['Locked', 2]])
+        })
+
+        it('rolls the whole mutation back when a nested operation fails', async () => {
+            const errors = await fail('mutation { addAuthor(author: { name: "Cy", profile: { create: { bio: "Cy bio" } }, posts: { create: [{ title: "Cy 1" }], connect: [{ id: 99 }] } }) { id } }')
+
+            assert.deepStrictEqual(errors, ['No post found for {"id":99}'])
+            assert.strictEqual(await sequelize.models.author.count(), 2)
+            assert.deepStrictEqual(await profiles(), [['Ada bio', 1], ['Loose', null]])
+            assert.strictEqual(await sequelize.models.post.count(), 5)
+        })
+    })
+})
\ No newline at end of file
@@ -0,0 +1,51 @@
+const assert = require('assert')
+const { toGlobalId } = require('graphql-relay')
+
+const { DataTypes, createDatabase, createServer, dataOf } = require('./support')
+
+describe('node queries', () => {
+    let sequelize, server
+
+    before(async () => {
+        sequelize = createDatabase()
+
+        // The documents of the user, and the shared ones the user got a link to
+        const Document = sequelize.define('document', { title: DataTypes.STRING, ownerId: DataTypes.INTEGER, shared: DataTypes.BOOLEAN }, {
+            policies: { read: (context, { key }) => key !== undefined && context.links.includes(key) ? { shared: true } : { ownerId: context.userId } }
+        })
+
+        await sequelize.sync()
+        await Document.bulkCreate([
+            { title: 'Mine', ownerId: 1, shared: false },
+            { title: 'Linked', ownerId: 2, shared: true },
+            { title: 'Private', ownerId: 2, shared: false }
+        ])
+
+        server = createServer(sequelize, { relay: true, context: integrationContext => ({ userId: integrationContext.userId, links: integrationContext.links || [] }) })
+    })
+
+    after(() => server.core.stop())
+
+    const id = key => toGlobalId('Document', String(key))
+
+    it('reads each row of a request with the restriction of its key', async () => {
+        const query = `{
+            first: node(id: "${id(1)}") { ... on Document { title } }
+            second: node(id: "${id(2)}") { ... on Document { title } }
+            reversed: nodes(ids: ["${id(2)}", "${id(1)}", "${id(3)}"]) { ... on Document { title } }
+        }`
+        const data = dataOf(await server.run(query, { context: { userId: 1, links: [2, 3] } }))
+
+        assert.deepStrictEqual(data, {
+            first: { title: 'Mine' },
+            second: { title: 'Linked' },
+            reversed: [{ title: 'Linked' }, { title: 'Mine' }, null]
+        })
+    })
+
+    it('hides the rows out of the restriction', async () => {
+        const data = dataOf(await server.run(`{ nodes(ids: ["${id(1)}", "${id(2)}"]) { ... on Document { title } } }`, { context: { userId: 3 } }))
+
+        assert.deepStrictEqual(data.nodes, [null, null])
+    })
+})
@@ -0,0 +1,150 @@
+const assert = require('assert')
+const { fork } = require('child_process')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { Sequelize } = require('sequelize')
+
+const OutboxPubSub = require('../src/pubsub/outbox')
+const { createDatabase } = require('./support')
+
+const WORKER = path.join(__dirname, 'fixtures', 'outbox-worker.js')
+
+describe('outbox', () => {
+    describe('in a process', () => {
+        let sequelize, pubsub, errors
+
+        beforeEach(async () => {
+            sequelize = createDatabase()
+            errors = []
+            // Polled by hand, the timer never fires
+            pubsub = new OutboxPubSub({ sequelize, interval: 60000, onError: (error, row) => errors.push({ message: error.message, row }) })
+            await pubsub.ready()
+        })
+
+        afterEach(async () => {
+            pubsub.close()
+            await sequelize.close()
+        })
+
+        it('is not one of the models of the sequelize', () => {
+            assert.ok(!sequelize.models.graphql_outbox)
+            assert.ok(!sequelize.modelManager.getModel('graphql_outbox'))
+        })
+
+        it('reports a bad row and a failing subscriber, and delivers the rest of the batch', async () => {
+            const received = []
+            await pubsub.subscribe('CHANNEL', () => {
+                throw new Error('Subscriber failed')
+            })
+            await pubsub.subscribe('CHANNEL', payload => received.push(payload))
+
+            await pubsub.model.create({ channel: 'CHANNEL', payload: '{' })
+            await pubsub.publish('CHANNEL', { n: 1 })
+            await pubsub.publish('CHANNEL', { n: 2 })
+            await pubsub.poll()
+
+            assert.deepStrictEqual(received, [{ n: 1 }, { n: 2 }])
+            assert.ok(/JSON/.test(errors[0].message))
+            assert.deepStrictEqual(errors.map(error => error.row.id), [1, 2, 3])
+            assert.deepStrictEqual(errors.slice(1).map(error => error.message), ['Subscriber failed', 'Subscriber failed'])
+            assert.strictEqual(pubsub.cursor, 3)
+        })
+
+        it('reports a poll that fails and reads the same rows again', async () => {
+            const received = []
+            await pubsub.subscribe('CHANNEL', payload => received.push(payload))
+            await pubsub.publish('CHANNEL', { n: 1 })
+
+            const findAll = pubsub.model.findAll
+            pubsub.model.findAll = () => Promise.reject(new Error('Connection lost'))
+            await pubsub.poll()
+            pubsub.model.findAll = findAll
+            await pubsub.poll()
+
+            assert.deepStrictEqual(errors.map(error => [error.message, error.row]), [['Connection lost', undefined]])
+            assert.deepStrictEqual(received, [{ n: 1 }])
+        })
+
+        it('delivers the events published while the first subscriber starts', async () => {
+            const received = []
+            const subscribing = pubsub.subscribe('CHANNEL', payload => received.push(payload))
+            await pubsub.publish('CHANNEL', { n: 1 })
+            await subscribing
+            await pubsub.poll()
+
+            assert.deepStrictEqual(received, [{ n: 1 }])
+        })
+
+        it('delivers the events published while nobody was subscribed to the next subscriber', async () => {
+            const received = []
+            pubsub.unsubscribe(await pubsub.subscribe('CHANNEL', () => {}))
+            await pubsub.publish('CHANNEL', { n: 1 })
+            await pubsub.subscribe('CHANNEL', payload => received.push(payload))
+            await pubsub.poll()
+
+            assert.deepStrictEqual(received, [{ n: 1 }])
+        })
+    })
+
+    describe('across processes', () => {
+        const storage = path.join(os.tmpdir(), `magic-graphql-outbox-${process.pid}.sqlite`)
+        let workers = []
+
+        const start = (...args) => {
+            const worker = fork(WORKER, args, { env: Object.assign({}, process.env, { OUTBOX_STORAGE: storage }) })
+            const messages = []
+            const waiting = []
+            worker.on('message', message => {
+                messages.push(message)
+                waiting.splice(0).forEach(resolve => resolve())
+            })
+            // Resolves to the first message holding the key
+            worker.next = key => new Promise((resolve, reject) => {
+                const check = () => {
+                    const message = messages.find(m => key in m)
+                    if (message) return resolve(message[key])
+                    waiting.push(check)
+                }
+                worker.once('exit', code => reject(new Error(`Outbox worker exited with ${code}`)))
+                check()
+            })
+            workers.push(worker)
+
+            return worker
+        }
+
+        before(async () => {
+            const sequelize = new Sequelize({ dialect: 'sqlite', storage, logging: false })
+            await new OutboxPubSub({ sequelize }).ready()
+            await sequelize.close()
+        })
+
+        after(() => {
+            workers.forEach(worker => worker.connected && worker.kill())
+            fs.rmSync(storage, { force: true })
+        })
+
+        it('delivers the events of every publisher to every subscriber in insertion order', async function () {
+            this.timeout(20000)
+
+            const subscribers = [start('subscriber', 'CHANNEL', '10'), start('subscriber', 'CHANNEL', '10')]
+            await Promise.all(subscribers.map(worker => worker.next('ready')))
+
+            const publishers = [start('publisher', 'CHANNEL', 'a', '5'), start('publisher', 'CHANNEL', 'b', '5')]
+            await Promise.all(publishers.map(worker => worker.next('published')))
+            const received = await Promise.all(subscribers.map(worker => worker.next('received')))
+
+            const sequelize = new Sequelize({ dialect: 'sqlite', storage, logging: false })
+            const [rows] = await sequelize.query('SELECT payload FROM graphql_outbox ORDER BY id')
+            await sequelize.close()
+
+            const inserted = rows.map(row => JSON.parse(row.payload))
+            assert.strictEqual(inserted.length, 10)
+            received.forEach(events => assert.deepStrictEqual(events, inserted))
+            for (const name of ['a', 'b']) {
+                assert.deepStrictEqual(inserted.filter(event => event.name === name).map(event => event.i), [0, 1, 2, 3, 4])
+            }
+        })
+    })
+})
\ No newline at end of file
@@ -0,0 +1,234 @@
+const assert = require('assert')
+
+const { DataTypes, createDatabase, createServer, dataOf, errorsOf } = require('./support')
+
+describe('policies', () => {
+    let sequelize, server
+
+    before(async () => {
+        sequelize = createDatabase()
+
+        const User = sequelize.define('user', {
+            name: DataTypes.STRING,
+            age: DataTypes.INTEGER,
+            salary: DataTypes.INTEGER,
+            bonus: DataTypes.INTEGER,
+            phone: DataTypes.STRING
+        }, {
+            policies: {
+                attributes: {
+                    salary: { read: false },
+                    bonus: { read: context => !!context.admin },
+                    phone: { read: context => !!context.admin }
+                }
+            }
+        })
+        sequelize.define('badge', {
+            code: { type: DataTypes.STRING, primaryKey: true },
+            label: DataTypes.STRING
+        }, {
+            policies: { attributes: { code: { read: context => !!context.admin } } }
+        })
+        const Profile = sequelize.define('profile', {
+            bio: DataTypes.STRING,
+            public: DataTypes.BOOLEAN
+        }, {
+            policies: { read: () => ({ public: true }) }
+        })
+        User.hasOne(Profile, { as: 'profile', foreignKey: 'userId' })
+        const Vault = sequelize.define('vault', { label: DataTypes.STRING }, { policies: { read: false } })
+        const Card = sequelize.define('card', { title: DataTypes.STRING })
+        Card.belongsTo(Profile, { as: 'profile', foreignKey: 'profileId' })
+        Card.belongsTo(Vault, { as: 'vault', foreignKey: 'vaultId' })
+        const Note = sequelize.define('note', { text: DataTypes.STRING, public: DataTypes.BOOLEAN }, {
+            paranoid: true,
+            policies: { read: context => context.reader ? { public: true } : false }
+        })
+
+        await sequelize.sync()
+        await User.bulkCreate([
+            { name: 'Ada', age: 36, salary: 900, bonus: 90, phone: '555-01' },
+            { name: 'Bob', age: 40, salary: 100, bonus: 10, phone: '555-02' }
+        ])
+        await sequelize.models.badge.bulkCreate([{ code: 'gold', label: 'Gold' }])
+        await Profile.bulkCreate([
+            { bio: 'Private', public: false, userId: 1 },
+            { bio: 'Public', public: true, userId: 2 },
+            { bio: 'Zed', public: false }
+        ])
+        await Vault.bulkCreate([{ label: 'b' }, { label: 'a' }])
+        await Card.bulkCreate([
+            { title: 'Private', profileId: 1, vaultId: 1 },
+            { title: 'Public', profileId: 2, vaultId: 2 },
+            { title: 'Zed', profileId: 3 }
+        ])
+
+        await Note.bulkCreate([{ text: 'Open', public: true }, { text: 'Closed', public: false }])
+
+        server = createServer(sequelize, { context: integrationContext => ({ admin: !!integrationContext.admin, reader: !!integrationContext.reader }) })
+    })
+
+    after(() => server.core.stop())
+
+    describe('filters', () => {
+        it('leaves the hidden attributes and the ones read under conditions out of the filter type', () => {
+            const fields = Object.keys(server.core.schema.getType('UserFilter').getFields())
+
+            assert.ok(fields.includes('name'))
+            assert.ok(!fields.includes('salary'))
+            assert.ok(!fields.includes('phone'))
+        })
+
+        it('filters by the attributes every client can read', async () => {
+            const data = dataOf(await server.run('{ users(filter: { name: { like: "A%" } }) { name } }'))
+
+            assert.deepStrictEqual(data.users, [{ name: 'Ada' }])
+        })
+
+        it('rejects the legacy where argument on an attribute read under conditions', async () => {
+            const result = await server.run('{ users(where: { phone: { like: "555%" } }) { name } }', { context: { admin: true } })
+
+            assert.deepStrictEqual(errorsOf(result), ['Not authorized to filter user by phone'])
+        })
+
+        it('rejects the legacy where argument on a hidden attribute, operators and references included', async () => {
+            const results = await Promise.all([
+                server.run('{ usersConnection(where: { salary: { gt: 500 } }) { edges { node { name } } } }'),
+                server.run('{ users(where: { or: [{ name: "Bob" }, { salary: 900 }] }) { name } }'),
+                server.run('query ($where: SequelizeJSON) { userAggregate(where: $where) { count } }', { variables: { where: { $salary$: 900 } } })
+            ])
+
+            results.forEach(result => assert.deepStrictEqual(errorsOf(result), ['Not authorized to filter user by salary']))
+        })
+    })
+
+    describe('sorting', () => {
+        it('leaves the hidden attributes and the ones read under conditions out of the order enum', () => {
+            const values = server.core.schema.getType('UserOrderField').getValues().map(value => value.value)
+
+            assert.ok(values.includes('name'))
+            assert.ok(!values.includes('salary'))
+            assert.ok(!values.includes('phone'))
+        })
+
+        it('rejects the legacy order arguments on a hidden attribute', async () => {
+            const results = await Promise.all([
+                server.run('{ users(order: "reverse:salary") { name } }'),
+                server.run('{ userRestful(order: [["salary", "DESC"]]) { results { name } } }')
+            ])
+
+            results.forEach(result => assert.deepStrictEqual(errorsOf(result), ['Not authorized to order user by salary']))
+        })
+
+        it('only puts the sorted attributes and the primary key in the cursors', async () => {
+            const data = dataOf(await server.run('{ usersConnection(first: 1, orderBy: [{ field: AGE, direction: DESC }]) { pageInfo { endCursor } } }'))
+
+            assert.deepStrictEqual(JSON.parse(Buffer.from(data.usersConnection.pageInfo.endCursor, 'base64').toString()), [40, 2])
+        })
+
+        it('only sorts by the associated rows the client can read', async () => {
+            const results = await Promise.all([
+                server.run('{ cards(orderBy: [{ profile: { field: BIO, direction: DESC } }, { field: ID }]) { title } }'),
+                server.run('{ cardsConnection(first: 3, orderBy: [{ profile: { field: BIO, direction: DESC } }]) { edges { node { title } } } }')
+            ])
+
+            // The profiles that aren't public sort as if the cards had none
+            assert.deepStrictEqual(dataOf(results[0]).cards.map(card => card.title), ['Public', 'Private', 'Zed'])
+            assert.deepStrictEqual(dataOf(results[1]).cardsConnection.edges[0].node.title, 'Public')
+        })
+
+        it('refuses to sort through an association the client can\'t read', async () => {
+            const results = await Promise.all([
+                server.run('{ cards(orderBy: [{ vault: { field: LABEL } }]) { title } }'),
+                server.run('{ cardsConnection(orderBy: [{ vault: { field: LABEL } }]) { edges { node { title } } } }')
+            ])
+
+            results.forEach(result => assert.deepStrictEqual(errorsOf(result), ['Not authorized to read vault']))
+        })
+
+        it('refuses to paginate by a primary key read under conditions', async () => {
+            const result = await server.run('{ badgesConnection(first: 1) { pageInfo { endCursor } } }', { context: { admin: true } })
+
+            assert.deepStrictEqual(errorsOf(result), ['Not authorized to paginate badge by code'])
+        })
+    })
+
+    describe('aggregates', () => {
+        it('leaves the hidden attributes and the ones read under conditions out of every aggregate type', () => {
+            const fieldsOf = name => Object.keys(server.core.schema.getType(name).getFields())
+            const groupFields = server.core.schema.getType('UserGroupField').getValues().map(value => value.value)
+
+            for (const fields of [fieldsOf('UserAggregateNumbers'), fieldsOf('UserAggregateValues'), fieldsOf('UserGroup'), groupFields]) {
+                assert.ok(!fields.includes('salary'))
+                assert.ok(!fields.includes('bonus'))
+                assert.ok(!fields.includes('phone'))
+            }
+            assert.ok(fieldsOf('UserAggregateNumbers').includes('age'))
+            assert.ok(groupFields.includes('name'))
+        })
+
+        it('aggregates the attributes every client can read', async () => {
+            const data = dataOf(await server.run('{ userAggregate { count sum { age } max { age } } }'))
+
+            assert.deepStrictEqual(data.userAggregate, [{ count: 2, sum: { age: 76 }, max: { age: 40 } }])
+        })
+
+        it('rejects aggregates of the hidden attributes', async () => {
+            const result = await server.run('{ userAggregate { sum { salary } } }')
+
+            assert.ok(result.errors && /Cannot query field "salary"/.test(result.errors[0].message))
+        })
+    })
+
+    describe('has one', () => {
+        it('applies the read restriction of the target to the batched reads', async () => {
+            const data = dataOf(await server.run('{ users { name profile { bio } } }'))
+
+            assert.deepStrictEqual(data.users, [{ name: 'Ada', profile: null }, { name: 'Bob', profile: { bio: 'Public' } }])
+        })
+    })
+    describe('mutations', () => {
+        const reader = { context: { reader: true } }
+        const texts = async () => (await sequelize.models.note.findAll({ order: [['id', 'ASC']], paranoid: false })).map(note => note.text)
+
+        afterEach(async () => {
+            const { note } = sequelize.models
+            await note.restore({ where: {} })
+            await note.update({ text: 'Open' }, { where: { id: 1 } })
+            await note.update({ text: 'Closed' }, { where: { id: 2 } })
+        })
+
+        it('returns the updated row only when the client can read it', async () => {
+            const open = dataOf(await server.run('mutation { updateNote(id: 1, note: { text: "Opened" }) { text } }', reader))
+            const closed = dataOf(await server.run('mutation { updateNote(id: 2, note: { text: "Shut" }) { text } }', reader))
+
+            assert.deepStrictEqual([open.updateNote, closed.updateNote], [{ text: 'Opened' }, null])
+            assert.deepStrictEqual(await texts(), ['Opened', 'Shut'])
+        })
+
+        it('only returns the rows of updateMany the client can read', async () => {
+            const data = dataOf(await server.run('mutation { updateManyNote(where: { id: { in: [1, 2] } }, set: { text: "Both" }) { id text } }', reader))
+
+            assert.deepStrictEqual(data.updateManyNote, [{ id: 1, text: 'Both' }])
+            assert.deepStrictEqual(await texts(), ['Both', 'Both'])
+        })
+
+        it('returns the restored row only when the client can read it', async () => {
+            await sequelize.models.note.destroy({ where: {} })
+
+            const data = dataOf(await server.run('mutation { open: restoreNote(id: 1) { text } closed: restoreNote(id: 2) { text } }', reader))
+
+            assert.deepStrictEqual(data, { open: { text: 'Open' }, closed: null })
+        })
+
+        it('refuses the writes returning a row the client can\'t read at all', async () => {
+            const results = await Promise.all([
+                server.run('mutation { updateNote(id: 1, note: { text: "Hidden" }) { text } }'),
+                server.run('mutation { updateManyNote(where: { id: { eq: 1 } }, set: { text: "Hidden" }) { text } }')
+            ])
+
+            results.forEach(result => assert.deepStrictEqual(errorsOf(result), ['Not authorized to read note']))
+            assert.deepStrictEqual(await texts(), ['Open', 'Closed'])
+        })
+    })
+})
\ No newline at end of file
@@ -0,0 +1,150 @@
+const assert = require('assert')
+const { parse, validate, subscribe } = require('graphql')
+const { PubSub } = require('graphql-subscriptions')
+
+const { DataTypes, createDatabase, createServer, dataOf, errorsOf } = require('./support')
+const { matchFilter } = require('../src/filter')
+
+describe('subscriptions', () => {
+    let sequelize, server, published
+
+    // Validated first, as the subscription servers do
+    const subscribeTo = async query => {
+        const document = parse(query)
+        const errors = validate(server.core.schema, document)
+
+        return errors.length ? { errors } : subscribe(server.core.schema, document, null, await server.core.context({}))
+    }
+
+    before(async () => {
+        sequelize = createDatabase()
+
+        sequelize.define('user', {
+            name: DataTypes.STRING,
+            salary: DataTypes.INTEGER,
+            phone: DataTypes.STRING
+        }, {
+            policies: {
+                attributes: {
+                    salary: { read: false },
+                    phone: { read: context => !!context.admin }
+                }
+            }
+        })
+
+        await sequelize.sync()
+        await sequelize.models.user.bulkCreate([{ name: 'Ada', salary: 900, phone: '555-01' }])
+
+        // Records the payloads as they leave the process
+        const pubsub = new PubSub()
+        const publish = pubsub.publish.bind(pubsub)
+        published = []
+        pubsub.publish = (channel, payload) => {
+            published.push(JSON.parse(JSON.stringify(payload)))
+            return publish(channel, payload)
+        }
+
+        server = createServer(sequelize, { subscriptions: true, pubsub })
+    })
+
+    after(() => server.core.stop())
+
+    it('leaves the hidden attributes out of the published rows', async () => {
+        const iterator = await subscribeTo('subscription { userUpdated(filter: { name: { like: "A%" } }) { name } }')
+        const next = iterator.next()
+
+        dataOf(await server.run('mutation { updateUser(id: 1, user: { name: "Ann" }) { name } }'))
+        const event = await next
+        await iterator.return()
+
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(event.value.data)), { userUpdated: { name: 'Ann' } })
+        assert.strictEqual(published.length, 1)
+        assert.ok(!('salary' in published[0].userUpdated))
+        assert.strictEqual(published[0].userUpdated.phone, '555-01')
+    })
+
+    it('leaves the hidden attributes out of the values of the deleted rows', async () => {
+        published.length = 0
+        const user = await sequelize.models.user.create({ name: 'Bob', salary: 100 })
+
+        dataOf(await server.run(`mutation { deleteUser(id: ${user.id}) }`))
+
+        const deleted = published.find(payload => payload.userDeleted)
+        assert.deepStrictEqual(deleted.userDeleted, user.id)
+        assert.ok(!('salary' in deleted.userDeletedValues))
+        assert.strictEqual(deleted.userDeletedValues.name, 'Bob')
+    })
+
+    it('rejects the filters on attributes that can\'t be queried', async () => {
+        const results = await Promise.all([
+            subscribeTo('subscription { userUpdated(filter: { salary: { gt: 500 } }) { name } }'),
+            subscribeTo('subscription { userDeleted(filter: { or: [{ phone: { eq: "555-01" } }] }) }')
+        ])
+
+        assert.ok(/"salary" is not defined/.test(errorsOf(results[0])[0]))
+        assert.ok(/"phone" is not defined/.test(errorsOf(results[1])[0]))
+    })
+
+    it('does not match the events against attributes that can\'t be queried', () => {
+        const { user } = sequelize.models
+
+        assert.throws(() => matchFilter(user, { salary: { gt: 500 } }, { salary: 900 }), { message: 'Not authorized to filter user by salary' })
+        assert.throws(() => matchFilter(user, { not: { phone: { eq: '555-01' } } }, { phone: '555-01' }), { message: 'Not authorized to filter user by phone' })
+    })
+})
+
+describe('subscriptions with a failing engine', () => {
+    let failing, errors, unhandled
+
+    const onUnhandled = reason => unhandled.push(reason)
+    const brokenPubSub = () => ({
+        publish: () => Promise.reject(new Error('Broker down')),
+        subscribe: () => Promise.resolve(0),
+        unsubscribe: () => {},
+        asyncIterator: () => new PubSub().asyncIterator([])
+    })
+
+    beforeEach(async () => {
+        failing = createDatabase()
+        failing.define('user', { name: DataTypes.STRING })
+        await failing.sync()
+        errors = []
+        unhandled = []
+        process.on('unhandledRejection', onUnhandled)
+    })
+
+    afterEach(async () => {
+        process.removeListener('unhandledRejection', onUnhandled)
+        await failing.close()
+    })
+
+    const onPublishError = (error, channel) => errors.push([error.message, channel])
+
+    it('passes the failures of the events of a mutation to onPublishError once it is committed', async () => {
+        const failingServer = createServer(failing, { subscriptions: true, pubsub: brokenPubSub(), onPublishError })
+
+        try {
+            assert.deepStrictEqual(dataOf(await failingServer.run('mutation { addUser(user: { name: "Ada" }) { name } }')), { addUser: { name: 'Ada' } })
+            await new Promise(resolve => setImmediate(resolve))
+        } finally {
+            await failingServer.core.stop()
+        }
+
+        assert.deepStrictEqual(errors, [['Broker down', 'USER_ADDED']])
+        assert.deepStrictEqual(unhandled, [])
+    })
+
+    it('passes the failures of the events of the hooks to onPublishError', async () => {
+        const failingServer = createServer(failing, { subscriptions: true, subscriptionHooks: true, pubsub: brokenPubSub(), onPublishError })
+
+        try {
+            await failing.models.user.create({ name: 'Bob' })
+            await new Promise(resolve => setImmediate(resolve))
+        } finally {
+            await failingServer.core.stop()
+        }
+
+        assert.deepStrictEqual(errors, [['Broker down', 'USER_ADDED']])
+        assert.deepStrictEqual(unhandled, [])
+    })
+})
\ No newline at end of file
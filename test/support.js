@@ -0,0 +1,58 @@
+const { graphql } = require('graphql')
+const { Sequelize, DataTypes } = require('sequelize')
+
+const { createCore } = require('../src/core')
+
+/**
+ * Returns a sequelize connected to a new in-memory SQLite database, the queries are pushed to `sequelize.queries`
+ */
+const createDatabase = () => {
+    const sequelize = new Sequelize({
+        dialect: 'sqlite',
+        storage: ':memory:',
+        logging: sql => sequelize.queries.push(sql)
+    })
+    sequelize.queries = []
+
+    return sequelize
+}
+
+/**
+ * Returns the models object read by the library (`modelDirPath`): the models of the sequelize, along with it
+ */
+const getModels = sequelize => Object.assign({ sequelize, Sequelize }, sequelize.models)
+
+/**
+ * Creates a core from the models of a sequelize, `run(query, { variables, context })` executes an
+ * operation against its schema with a fresh context
+ */
+const createServer = (sequelize, options = {}) => {
+    const core = createCore(Object.assign({ modelDirPath: getModels(sequelize), instrumentation: false }, options))
+
+    const run = async (query, { variables, context } = {}) => graphql(core.schema, query, null, await core.context(context || {}), variables)
+
+    return { core, run }
+}
+
+/**
+ * Returns the data of a result as plain objects, throws its first error
+ */
+const dataOf = result => {
+    if (result.errors) throw result.errors[0]
+
+    return JSON.parse(JSON.stringify(result.data))
+}
+
+/**
+ * Returns the messages of the errors of a result
+ */
+const errorsOf = result => (result.errors || []).map(error => error.message)
+
+module.exports = {
+    DataTypes,
+    createDatabase,
+    getModels,
+    createServer,
+    dataOf,
+    errorsOf
+}
\ No newline at end of file
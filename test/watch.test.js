@@ -0,0 +1,64 @@
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { createCore } = require('../src/core')
+
+describe('watch mode', () => {
+    let folder, core
+
+    // A models folder outside of the repository, its modules require sequelize by its path
+    const writeModels = userModel => {
+        fs.writeFileSync(path.join(folder, 'index.js'), `
+            const { Sequelize, DataTypes } = require(${JSON.stringify(require.resolve('sequelize'))})
+            const sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false })
+            require('./user')(sequelize, DataTypes)
+            module.exports = Object.assign({ sequelize, Sequelize }, sequelize.models)
+        `)
+        fs.writeFileSync(path.join(folder, 'user.js'), userModel)
+    }
+
+    beforeEach(() => {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), 'magic-graphql-watch-'))
+        writeModels("module.exports = (sequelize, DataTypes) => sequelize.define('user', { name: DataTypes.STRING })")
+    })
+
+    afterEach(async () => {
+        await core.stop()
+        fs.rmSync(folder, { recursive: true, force: true })
+    })
+
+    it('passes the error of a failing reload to onReloadError and keeps the schema', async function () {
+        this.timeout(5000)
+
+        const reloaded = new Promise(resolve => {
+            core = createCore({ modelDirPath: folder, watch: true, instrumentation: false, onReloadError: resolve })
+        })
+        const schema = core.schema
+
+        fs.writeFileSync(path.join(folder, 'user.js'), 'module.exports = (sequelize, DataTypes) => {')
+        const error = await reloaded
+
+        assert.ok(error instanceof SyntaxError)
+        assert.strictEqual(core.schema, schema)
+    })
+    it('closes the sequelize of the previous models and stops counting its queries', async function () {
+        this.timeout(5000)
+
+        core = createCore({ modelDirPath: folder, watch: true, instrumentation: true })
+        await core.context({})
+        const previous = core.models.sequelize
+        const closing = new Promise(resolve => {
+            previous.close = resolve
+        })
+        assert.ok(previous.hasHook('beforeQuery'))
+
+        fs.writeFileSync(path.join(folder, 'user.js'), "module.exports = (sequelize, DataTypes) => sequelize.define('user', { name: DataTypes.STRING, email: DataTypes.STRING })")
+        await closing
+
+        assert.notStrictEqual(core.models.sequelize, previous)
+        assert.ok(!previous.hasHook('beforeQuery'))
+        assert.ok(core.schema.getType('User').getFields().email)
+    })
+})
\ No newline at end of file